@@ -0,0 +1,86 @@
+// Merge chapters that share a natural key (subject, class, chapter), so the
+// unique index on Chapter can be built.
+//
+//   node scripts/dedupeChapters.js [--dry-run]
+//
+// Each group of duplicates keeps one chapter - the most recently updated one
+// that is not soft-deleted - and the others are removed:
+// - progress, practice sessions and status changes move to the kept chapter;
+//   a user's progress on the kept chapter wins over theirs on a duplicate
+// - revisions of the removed chapters are left as they are
+// The Chapter indexes are built afterwards. --dry-run only lists the groups.
+// Safe to run more than once.
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const Chapter = require('../src/models/Chapter');
+const ChapterProgress = require('../src/models/ChapterProgress');
+const PracticeSession = require('../src/models/PracticeSession');
+const StatusChange = require('../src/models/StatusChange');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Live chapters first, then the most recently updated
+const byPreference = (a, b) => (Boolean(a.isDeleted) - Boolean(b.isDeleted))
+  || (new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0));
+
+const mergeInto = async (kept, duplicate) => {
+  const usersOnKept = await ChapterProgress.distinct('user', { chapter: kept });
+  await ChapterProgress.deleteMany({ chapter: duplicate, user: { $in: usersOnKept } });
+  await ChapterProgress.updateMany({ chapter: duplicate }, { $set: { chapter: kept } });
+  await PracticeSession.updateMany({ chapter: duplicate }, { $set: { chapter: kept } });
+  await StatusChange.updateMany({ chapter: duplicate }, { $set: { chapter: kept } });
+  await Chapter.deleteOne({ _id: duplicate });
+};
+
+const dedupe = async () => {
+  await connectDB();
+
+  const groups = Chapter.collection.aggregate([
+    {
+      $group: {
+        _id: { subject: '$subject', class: '$class', chapter: '$chapter' },
+        chapters: { $push: { _id: '$_id', isDeleted: '$isDeleted', updatedAt: '$updatedAt' } },
+        count: { $sum: 1 },
+      },
+    },
+    { $match: { count: { $gt: 1 } } },
+  ], { allowDiskUse: true });
+
+  let groupCount = 0;
+  let removed = 0;
+
+  for await (const group of groups) {
+    groupCount += 1;
+    const [kept, ...duplicates] = group.chapters.sort(byPreference);
+    const { subject, class: className, chapter } = group._id;
+
+    console.warn(
+      `${subject} / ${className} / ${chapter}: ${group.count} chapters, keeping ${kept._id},`,
+      `${dryRun ? 'would remove' : 'removing'} ${duplicates.map(({ _id }) => String(_id)).join(', ')}`
+    );
+
+    if (!dryRun) {
+      for (const duplicate of duplicates) {
+        await mergeInto(kept._id, duplicate._id);
+      }
+    }
+    removed += duplicates.length;
+  }
+
+  if (!dryRun) {
+    await Chapter.createIndexes();
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Found ${groupCount} duplicate groups, ${removed} chapters ${dryRun ? 'would be ' : ''}removed`);
+};
+
+dedupe()
+  .then(() => mongoose.disconnect())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Dedupe failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,101 @@
+// Normalise yearWiseQuestionCount on existing chapters for open-ended exam years.
+//
+//   node scripts/migrateExamYears.js [--dry-run]
+//
+// - documents without yearWiseQuestionCount get an empty object
+// - counts stored as strings are converted to numbers, null/blank counts are removed
+// - keys that are not four-digit years in the EXAM_YEAR_MIN..EXAM_YEAR_MAX range
+//   are removed and listed, so they can be fixed and re-uploaded
+// - totalQuestions is (re)computed from the normalised counts
+// Safe to run more than once.
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const Chapter = require('../src/models/Chapter');
+const { isValidExamYear } = require('../src/config/examYears');
+
+const BATCH_SIZE = 500;
+const dryRun = process.argv.includes('--dry-run');
+
+const normaliseCounts = (counts) => {
+  const normalised = {};
+  const dropped = [];
+
+  Object.entries(counts || {}).forEach(([year, count]) => {
+    if (count === null || count === '') return;
+
+    const value = Number(count);
+    if (!isValidExamYear(year) || !Number.isInteger(value) || value < 0) {
+      dropped.push({ year, count });
+      return;
+    }
+    normalised[year] = value;
+  });
+
+  return { normalised, dropped };
+};
+
+const isSame = (a, b) => {
+  const keys = Object.keys(a || {});
+  return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+};
+
+const migrate = async () => {
+  await connectDB();
+
+  const cursor = Chapter.collection.find({}, {
+    projection: { subject: 1, class: 1, chapter: 1, yearWiseQuestionCount: 1, totalQuestions: 1 },
+  });
+
+  let scanned = 0;
+  let updated = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    if (!dryRun) {
+      await Chapter.collection.bulkWrite(operations, { ordered: false });
+    }
+    updated += operations.length;
+    operations = [];
+  };
+
+  for await (const doc of cursor) {
+    scanned += 1;
+    const { normalised, dropped } = normaliseCounts(doc.yearWiseQuestionCount);
+
+    if (dropped.length > 0) {
+      console.warn(
+        `Chapter ${doc._id} (${doc.subject} / ${doc.class} / ${doc.chapter}): dropping`,
+        dropped.map(({ year, count }) => `${year}=${count}`).join(', ')
+      );
+    }
+
+    const totalQuestions = Chapter.countQuestions(normalised);
+    if (!isSame(doc.yearWiseQuestionCount, normalised) || doc.totalQuestions !== totalQuestions) {
+      operations.push({
+        updateOne: {
+          filter: { _id: doc._id },
+          update: { $set: { yearWiseQuestionCount: normalised, totalQuestions } },
+        },
+      });
+    }
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Scanned ${scanned} chapters, ${updated} ${dryRun ? 'would be ' : ''}updated`);
+};
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Migration failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,18 @@
+// Create or promote the ADMIN_EMAIL / ADMIN_PASSWORD admin account.
+//
+//   node scripts/seedAdmin.js
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const { seedAdmin } = require('../src/services/adminSeedService');
+
+connectDB()
+  .then(() => seedAdmin())
+  .then(() => mongoose.disconnect())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Admin seed failed:', error);
+    process.exit(1);
+  });
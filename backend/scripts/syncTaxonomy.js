@@ -0,0 +1,76 @@
+// Build the subject / class / unit taxonomy from existing chapters.
+//
+//   node scripts/syncTaxonomy.js [--dry-run]
+//
+// - every subject, class and unit used by a chapter (deleted ones included)
+//   gets a taxonomy entry; among spellings that differ only in case or
+//   spacing, the one used by most chapters becomes the entry's name
+// - chapters using another spelling are renamed to the entry's name, unless
+//   that would clash with an existing chapter (those are listed)
+// Safe to run more than once. Clear the cache (DELETE /api/v1/cache) afterwards.
+const dotenv = require('dotenv');
+dotenv.config();
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/database');
+const Chapter = require('../src/models/Chapter');
+const { resolveTaxonomy } = require('../src/services/taxonomyService');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const describe = ({ subject, class: className, unit }) => `${subject} / ${className} / ${unit}`;
+
+const sync = async () => {
+  await connectDB();
+
+  // Most used spellings first, so they name the entries they create
+  const groups = (await Chapter.aggregate([
+    { $group: { _id: { subject: '$subject', class: '$class', unit: '$unit' }, chapters: { $sum: 1 } } },
+    { $sort: { chapters: -1 } },
+  ])).map(({ _id, chapters }) => ({ ..._id, chapters }));
+
+  const { rows, errors, createdCount } = await resolveTaxonomy(groups, { create: !dryRun });
+
+  let renamed = 0;
+  let pending = 0;
+  for (const [i, group] of groups.entries()) {
+    if (errors[i].length > 0) {
+      pending += 1;
+      continue;
+    }
+
+    const target = rows[i];
+    if (['subject', 'class', 'unit'].every(field => target[field] === group[field])) continue;
+
+    console.log(`${describe(group)} -> ${describe(target)} (${group.chapters} chapters)`);
+    if (dryRun) {
+      renamed += group.chapters;
+      continue;
+    }
+
+    try {
+      const result = await Chapter.updateMany(
+        { subject: group.subject, class: group.class, unit: group.unit },
+        { $set: { subject: target.subject, class: target.class, unit: target.unit } }
+      );
+      renamed += result.modifiedCount;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      console.warn(`  not renamed: a chapter with the same name already exists under ${describe(target)}`);
+    }
+  }
+
+  if (dryRun) {
+    console.log(`[dry run] ${groups.length} subject/class/unit combinations, ${pending} need new taxonomy entries, ${renamed} chapters would be renamed`);
+  } else {
+    console.log(`${groups.length} subject/class/unit combinations, ${createdCount} taxonomy entries created, ${renamed} chapters renamed`);
+  }
+};
+
+sync()
+  .then(() => mongoose.disconnect())
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Taxonomy sync failed:', error);
+    process.exit(1);
+  });
@@ -7,6 +7,9 @@ dotenv.config();
 const app = require('./src/app');
 const connectDB = require('./src/config/database');
 const { connectRedis, disconnectRedis } = require('./src/config/redis');
+const { failInterruptedJobs, startHeartbeat } = require('./src/services/importJobService');
+const { seedAdmin } = require('./src/services/adminSeedService');
+const { failInterruptedRecompute, startRecompute } = require('./src/services/weakChapterService');
 
 // Global flags to prevent multiple initializations
 let isInitializing = false;
@@ -28,6 +31,11 @@ const initializeServices = async () => {
     await connectDB();
     console.log('Database connected successfully');
 
+    await failInterruptedJobs();
+    startHeartbeat();
+    await failInterruptedRecompute();
+    await seedAdmin();
+
     console.log('Connecting to Redis...');
     await connectRedis();
     console.log('Redis connected successfully');
@@ -44,6 +52,18 @@ const initializeServices = async () => {
 
 const PORT = process.env.PORT || 5000;
 
+// Optional periodic recompute so time-based weak-chapter rules stay current
+const scheduleWeakChapterRecompute = () => {
+  const hours = parseFloat(process.env.WEAK_CHAPTER_RECOMPUTE_HOURS);
+  if (!(hours > 0)) return;
+
+  setInterval(() => {
+    startRecompute().catch((error) => {
+      console.warn(`Scheduled weak chapter recompute skipped: ${error.message}`);
+    });
+  }, hours * 60 * 60 * 1000).unref();
+};
+
 // Start server after services are initialized
 const startServer = async () => {
   try {
@@ -56,6 +76,8 @@ const startServer = async () => {
     // Initialize all services first
     await initializeServices();
     
+    scheduleWeakChapterRecompute();
+
     // Start the server
     server = app.listen(PORT, () => {
       console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
@@ -8,6 +8,17 @@ const cacheService = require('./services/cacheService');
 // Route files
 const chapters = require('./routes/chapters');
 const chapter = require('./routes/chapter');
+const imports = require('./routes/imports');
+const progress = require('./routes/progress');
+const auth = require('./routes/auth');
+const users = require('./routes/users');
+const cache = require('./routes/cache');
+const apiKeys = require('./routes/apiKeys');
+const audit = require('./routes/audit');
+const weakRules = require('./routes/weakRules');
+const studyPlan = require('./routes/studyPlan');
+const practiceSessions = require('./routes/practiceSessions');
+const taxonomy = require('./routes/taxonomy');
 
 const app = express();
 
@@ -67,70 +78,17 @@ app.get('/health', (req, res) => {
 // Mount routers
 app.use('/api/v1/chapters', chapters);     // Handles: GET /chapters, POST /chapters/upload
 app.use('/api/v1/chapter', chapter);      // Handles: GET /chapter/:id (reuses same router)
-
-// Auth routes for admin login (basic implementation)
-app.post('/api/v1/auth/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-      if (!email || !password) {
-      console.log('Missing email or password');
-      return res.status(400).json({
-        success: false,
-        error: 'Please provide email and password',
-      });
-    }
-    console.log("Login request received");
-
-    // Simple admin check (in production, use proper user model)
-    if (email === process.env.ADMIN_EMAIL && password === process.env.ADMIN_PASSWORD) {
-        // In a real app, create a proper user and use JWT
-        console.log("Admin credentials match");
-
-      const User = require('./models/User');
-      
-      let adminUser = await User.findOne({ email: process.env.ADMIN_EMAIL });
-      console.log("Admin user lookup complete:", adminUser);
-
-        if (!adminUser) {
-            console.log("Creating new admin user...");
-
-        adminUser = await User.create({
-          email: process.env.ADMIN_EMAIL,
-          password: process.env.ADMIN_PASSWORD,
-          role: 'admin',
-        });
-        console.log("Admin user created");
-   
-      }
-
-      const token = adminUser.getSignedJwtToken();
-      console.log("Token generated");
-
-      res.status(200).json({
-        success: true,
-        token,
-        user: {
-          id: adminUser._id,
-          email: adminUser.email,
-          role: adminUser.role,
-        },
-      });
-    } else {
-        console.log("Invalid credentials");
-
-      res.status(401).json({
-        success: false,
-        error: 'Invalid credentials',
-      });
-    }
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: 'Server error',
-    });
-  }
-});
+app.use('/api/v1/imports', imports);      // Handles: GET /imports/:jobId
+app.use('/api/v1/progress', progress);    // Handles: GET /progress, GET|PATCH /progress/:chapterId
+app.use('/api/v1/auth', auth);            // Handles: POST /auth/register|login|refresh|logout, GET /auth/me
+app.use('/api/v1/users', users);          // Handles: GET /users, PATCH /users/:id/role
+app.use('/api/v1/cache', cache);          // Handles: GET /cache/health, DELETE /cache
+app.use('/api/v1/api-keys', apiKeys);     // Handles: GET|POST /api-keys, DELETE /api-keys/:id
+app.use('/api/v1/audit', audit);          // Handles: GET /audit
+app.use('/api/v1/weak-rules', weakRules); // Handles: GET|PUT /weak-rules, POST /weak-rules/recompute
+app.use('/api/v1/study-plan', studyPlan); // Handles: GET|POST /study-plan, POST /study-plan/replan
+app.use('/api/v1/practice-sessions', practiceSessions); // Handles: GET|POST /practice-sessions, GET /practice-sessions/stats
+app.use('/api/v1/taxonomy', taxonomy);    // Handles: GET /taxonomy, GET|POST /taxonomy/:level, PATCH|DELETE /taxonomy/:level/:id
 
 // 404 handler
 app.all('/{*any}', (req, res) => {
@@ -0,0 +1,21 @@
+// Range of exam years accepted in yearWiseQuestionCount.
+// EXAM_YEAR_MIN defaults to the first year in the original dataset and
+// EXAM_YEAR_MAX to next year, so the range moves forward on its own.
+const MIN_EXAM_YEAR = parseInt(process.env.EXAM_YEAR_MIN, 10) || 2019;
+const MAX_EXAM_YEAR = parseInt(process.env.EXAM_YEAR_MAX, 10) || new Date().getFullYear() + 1;
+
+const YEAR_KEY_PATTERN = /^\d{4}$/;
+
+const isValidExamYear = (year) => {
+  const key = String(year);
+  if (!YEAR_KEY_PATTERN.test(key)) return false;
+
+  const value = Number(key);
+  return value >= MIN_EXAM_YEAR && value <= MAX_EXAM_YEAR;
+};
+
+module.exports = {
+  MIN_EXAM_YEAR,
+  MAX_EXAM_YEAR,
+  isValidExamYear,
+};
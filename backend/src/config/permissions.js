@@ -0,0 +1,38 @@
+// Central role -> permission matrix. Routes check permissions with
+// requirePermission() instead of matching role names.
+const PERMISSIONS = {
+  CHAPTERS_WRITE: 'chapters:write',   // upload, replace and patch chapters, follow import jobs
+  CHAPTERS_DELETE: 'chapters:delete', // soft/permanent delete and restore
+  PROGRESS_WRITE: 'progress:write',   // record your own chapter progress
+  CACHE_ADMIN: 'cache:admin',         // inspect and clear the response cache
+  USERS_MANAGE: 'users:manage',       // list users and change their roles
+  API_KEYS_MANAGE: 'api-keys:manage', // create, list and revoke API keys
+  AUDIT_READ: 'audit:read',           // read the audit log
+  RULES_MANAGE: 'rules:manage',       // edit the weak-chapter rules and recompute flags
+};
+
+const ROLES = ['viewer', 'user', 'editor', 'admin'];
+
+const ROLE_PERMISSIONS = {
+  viewer: [],
+  user: [PERMISSIONS.PROGRESS_WRITE],
+  editor: [PERMISSIONS.PROGRESS_WRITE, PERMISSIONS.CHAPTERS_WRITE],
+  admin: Object.values(PERMISSIONS),
+};
+
+// API keys can carry any permission except minting further keys
+const API_KEY_PERMISSIONS = Object.values(PERMISSIONS)
+  .filter(permission => permission !== PERMISSIONS.API_KEYS_MANAGE);
+
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+const hasPermission = (role, permission) => getRolePermissions(role).includes(permission);
+
+module.exports = {
+  API_KEY_PERMISSIONS,
+  PERMISSIONS,
+  ROLES,
+  ROLE_PERMISSIONS,
+  getRolePermissions,
+  hasPermission,
+};
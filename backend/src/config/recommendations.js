@@ -0,0 +1,26 @@
+const { DEFAULT_WEIGHTS } = require('../utils/chapterPriority');
+
+// Weights used to rank chapters for recommendations and study plans.
+// Override some or all of them with RECOMMENDATION_WEIGHTS (JSON), e.g.
+// {"frequency":0.5,"weak":0.3}; requests may override them again per call.
+const loadWeights = () => {
+  if (!process.env.RECOMMENDATION_WEIGHTS) return DEFAULT_WEIGHTS;
+
+  try {
+    const weights = JSON.parse(process.env.RECOMMENDATION_WEIGHTS);
+    const valid = weights && typeof weights === 'object'
+      && Object.entries(weights).every(([factor, weight]) => factor in DEFAULT_WEIGHTS
+        && typeof weight === 'number' && weight >= 0);
+    if (!valid) throw new Error('unknown factor or negative weight');
+    return { ...DEFAULT_WEIGHTS, ...weights };
+  } catch (error) {
+    console.warn(`Ignoring invalid RECOMMENDATION_WEIGHTS (${error.message}), using the defaults`);
+    return DEFAULT_WEIGHTS;
+  }
+};
+
+const RECOMMENDATION_WEIGHTS = loadWeights();
+
+module.exports = {
+  RECOMMENDATION_WEIGHTS,
+};
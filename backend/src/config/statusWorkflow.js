@@ -0,0 +1,59 @@
+// Allowed status transitions. Each status maps the statuses it may move to
+// onto their requirements; a target that is not listed is not allowed.
+// Override with STATUS_TRANSITIONS (same shape, as JSON).
+const STATUSES = ['Not Started', 'In Progress', 'Completed'];
+
+const DEFAULT_TRANSITIONS = {
+  'Not Started': {
+    'In Progress': {},
+    Completed: {},
+  },
+  'In Progress': {
+    'Not Started': {},
+    Completed: {},
+  },
+  // Reopening finished work needs an explanation
+  Completed: {
+    'In Progress': { requireReason: true },
+    'Not Started': { requireReason: true },
+  },
+};
+
+const loadTransitions = () => {
+  if (!process.env.STATUS_TRANSITIONS) return DEFAULT_TRANSITIONS;
+
+  try {
+    const transitions = JSON.parse(process.env.STATUS_TRANSITIONS);
+    const valid = Object.entries(transitions).every(([from, targets]) => STATUSES.includes(from)
+      && targets && typeof targets === 'object'
+      && Object.keys(targets).every(to => STATUSES.includes(to)));
+    if (!valid) throw new Error('unknown status');
+    return transitions;
+  } catch (error) {
+    console.warn(`Ignoring invalid STATUS_TRANSITIONS (${error.message}), using the defaults`);
+    return DEFAULT_TRANSITIONS;
+  }
+};
+
+const TRANSITIONS = loadTransitions();
+
+// Why moving from one status to another is not allowed, or null when it is
+// (including when no new status is given)
+const transitionError = (from, to, reason) => {
+  if (!to || from === to) return null;
+
+  const rule = (TRANSITIONS[from] || {})[to];
+  if (!rule) {
+    return `Status cannot change from ${from} to ${to}`;
+  }
+  if (rule.requireReason && !(reason && reason.trim())) {
+    return `A statusReason is required to move a chapter from ${from} to ${to}`;
+  }
+  return null;
+};
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  transitionError,
+};
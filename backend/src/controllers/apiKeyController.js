@@ -0,0 +1,124 @@
+const ApiKey = require('../models/ApiKey');
+const { validateApiKey, validateApiKeyQuery } = require('../utils/validation');
+
+const formatApiKey = apiKey => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  permissions: apiKey.permissions,
+  createdBy: apiKey.createdBy,
+  createdAt: apiKey.createdAt,
+  lastUsedAt: apiKey.lastUsedAt || null,
+  expiresAt: apiKey.expiresAt || null,
+  revokedAt: apiKey.revokedAt || null,
+  active: apiKey.isActive,
+});
+
+// @desc    Create an API key; the key is only shown in this response
+// @route   POST /api/v1/api-keys
+// @access  Private (api-keys:manage)
+const createApiKey = async (req, res, next) => {
+  try {
+    const { error, value } = validateApiKey(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid API key data',
+        details: error.details.map(detail => detail.message),
+      });
+    }
+
+    const notGranted = value.permissions.filter(permission => !req.permissions.includes(permission));
+    if (notGranted.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: `Cannot grant permissions you do not have: ${notGranted.join(', ')}`,
+      });
+    }
+
+    const { key, prefix, keyHash } = ApiKey.generateKey();
+    const apiKey = await ApiKey.create({
+      name: value.name,
+      prefix,
+      keyHash,
+      permissions: value.permissions,
+      createdBy: req.user._id,
+      expiresAt: value.expiresInDays
+        ? new Date(Date.now() + value.expiresInDays * 24 * 60 * 60 * 1000)
+        : undefined,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...formatApiKey(apiKey),
+        key,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    List API keys
+// @route   GET /api/v1/api-keys
+// @access  Private (api-keys:manage)
+const getApiKeys = async (req, res, next) => {
+  try {
+    const { error, value } = validateApiKeyQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        details: error.details.map(detail => detail.message),
+      });
+    }
+
+    const filter = value.includeRevoked ? {} : { revokedAt: null };
+    const apiKeys = await ApiKey.find(filter)
+      .populate('createdBy', 'email role')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: apiKeys.map(formatApiKey),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke an API key
+// @route   DELETE /api/v1/api-keys/:id
+// @access  Private (api-keys:manage)
+const revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatApiKey(apiKey),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey,
+};
@@ -0,0 +1,64 @@
+const AuditLog = require('../models/AuditLog');
+const { validateAuditQuery } = require('../utils/validation');
+
+const buildAuditFilter = ({ action, actor, email, target, targetType, from, to }) => {
+  const filter = {};
+  if (action) filter.action = { $in: action.split(',') };
+  if (actor) filter['actor.user'] = actor;
+  if (email) filter['actor.email'] = email;
+  if (target) filter.targetIds = target;
+  if (targetType) filter.targetType = targetType;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) filter.createdAt.$lte = to;
+  }
+  return filter;
+};
+
+// @desc    Audit log of uploads, chapter changes and logins, newest first
+// @route   GET /api/v1/audit?action=chapter.update&actor=&target=&from=&to=
+// @access  Private (audit:read)
+const getAuditLog = async (req, res, next) => {
+  try {
+    const { error, value } = validateAuditQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        details: error.details.map(detail => detail.message),
+      });
+    }
+
+    const { page, limit } = value;
+    const filter = buildAuditFilter(value);
+
+    const [entries, totalEntries] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      AuditLog.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(totalEntries / limit);
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      totalEntries,
+      totalPages,
+      currentPage: page,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      data: entries,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAuditLog,
+};
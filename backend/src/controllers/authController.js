@@ -0,0 +1,344 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const {
+  getRefreshTokenFamily,
+  issueTokens,
+  revokeAccessToken,
+  revokeAllSessions,
+  revokeFamily,
+  rotateRefreshToken,
+} = require('../services/tokenService');
+const { sendMail } = require('../services/mailer');
+const { auditContext, recordAudit } = require('../services/auditService');
+const { getBearerToken } = require('../middleware/auth');
+const {
+  validateRegister,
+  validateLogin,
+  validateRefreshToken,
+  validateChangePassword,
+  validateForgotPassword,
+  validateResetPassword,
+} = require('../utils/validation');
+
+const invalidRequest = (res, message, error) => {
+  return res.status(400).json({
+    success: false,
+    error: message,
+    details: error.details.map(detail => detail.message),
+  });
+};
+
+const sendTokenResponse = async (user, statusCode, res, tokens) => {
+  const { token, refreshToken } = tokens || await issueTokens(user);
+
+  res.status(statusCode).json({
+    success: true,
+    token,
+    refreshToken,
+    user: {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+    },
+  });
+};
+
+// @desc    Register a new user
+// @route   POST /api/v1/auth/register
+// @access  Public
+const register = async (req, res, next) => {
+  try {
+    const { error, value } = validateRegister(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid registration data',
+        details: error.details.map(detail => detail.message),
+      });
+    }
+
+    if (await User.exists({ email: value.email })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is already registered',
+      });
+    }
+
+    // Role is never taken from the request; admins are seeded or promoted
+    const user = await User.create({
+      email: value.email,
+      password: value.password,
+    });
+
+    await sendTokenResponse(user, 201, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Log in with email and password
+// @route   POST /api/v1/auth/login
+// @access  Public
+const login = async (req, res, next) => {
+  try {
+    const { error, value } = validateLogin(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Please provide email and password',
+      });
+    }
+
+    const user = await User.findOne({ email: value.email }).select('+password');
+
+    if (!user || !(await user.matchPassword(value.password))) {
+      await recordAudit(auditContext(req, { user: user && user._id, email: value.email }), {
+        action: 'auth.login_failed',
+        targetType: 'user',
+        targetIds: user ? [user._id] : [],
+        metadata: { reason: user ? 'wrong_password' : 'unknown_email' },
+      });
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials',
+      });
+    }
+
+    await recordAudit(auditContext(req, { user: user._id, email: user.email, role: user.role }), {
+      action: 'auth.login',
+      targetType: 'user',
+      targetIds: [user._id],
+    });
+
+    await sendTokenResponse(user, 200, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Exchange a refresh token for a new access + refresh token pair
+// @route   POST /api/v1/auth/refresh
+// @access  Public
+const refresh = async (req, res, next) => {
+  try {
+    const { error, value } = validateRefreshToken(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Refresh token is required',
+      });
+    }
+
+    const { user, token, refreshToken } = await rotateRefreshToken(
+      value.refreshToken,
+      userId => User.findById(userId)
+    );
+
+    await sendTokenResponse(user, 200, res, { token, refreshToken });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    End the current session (refresh token family and access token)
+// @route   POST /api/v1/auth/logout
+// @access  Public
+const logout = async (req, res, next) => {
+  try {
+    const { error, value } = validateRefreshToken(req.body);
+    const familyIds = new Set();
+
+    if (!error) {
+      const familyId = await getRefreshTokenFamily(value.refreshToken);
+      if (familyId) familyIds.add(familyId);
+    }
+
+    // The access token may already be expired; it is only revoked if still valid
+    const accessToken = getBearerToken(req);
+    if (accessToken) {
+      try {
+        const payload = jwt.verify(accessToken, process.env.JWT_SECRET);
+        await revokeAccessToken(payload);
+        if (payload.fam) familyIds.add(payload.fam);
+      } catch (verifyError) {
+        // Nothing to revoke
+      }
+    }
+
+    await Promise.all([...familyIds].map(familyId => revokeFamily(familyId)));
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change the signed-in user's password; every other session is logged out
+// @route   PUT /api/v1/auth/password
+// @access  Private
+const changePassword = async (req, res, next) => {
+  try {
+    if (req.apiKey) {
+      return res.status(403).json({
+        success: false,
+        error: 'Passwords cannot be changed with an API key',
+      });
+    }
+
+    const { error, value } = validateChangePassword(req.body);
+    if (error) {
+      return invalidRequest(res, 'Invalid password data', error);
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await user.matchPassword(value.currentPassword))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Current password is incorrect',
+      });
+    }
+
+    await revokeAllSessions(user._id);
+
+    user.password = value.newPassword;
+    await user.save();
+
+    await sendTokenResponse(user, 200, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Email a one-time password reset token
+// @route   POST /api/v1/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res, next) => {
+  try {
+    const { error, value } = validateForgotPassword(req.body);
+    if (error) {
+      return invalidRequest(res, 'Invalid request', error);
+    }
+
+    // The link host is configuration only; a Host header could point it elsewhere
+    const baseUrl = process.env.CLIENT_URL;
+    if (!baseUrl) {
+      console.error('Password reset requested but CLIENT_URL is not set');
+      return res.status(503).json({
+        success: false,
+        error: 'Password reset is not available',
+      });
+    }
+
+    const user = await User.findOne({ email: value.email });
+
+    if (user) {
+      const resetToken = user.getResetPasswordToken();
+      await user.save({ validateBeforeSave: false });
+
+      const expireMinutes = parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES, 10) || 30;
+
+      try {
+        await sendMail({
+          to: user.email,
+          subject: 'Password reset',
+          text: [
+            'A password reset was requested for your account.',
+            `Use this link within ${expireMinutes} minutes to choose a new password:`,
+            '',
+            `${baseUrl}/reset-password?token=${resetToken}`,
+            '',
+            'If you did not ask for this, you can ignore this email.',
+          ].join('\n'),
+        });
+      } catch (mailError) {
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpire = undefined;
+        await user.save({ validateBeforeSave: false });
+        console.error('Password reset email failed:', mailError);
+        return res.status(500).json({
+          success: false,
+          error: 'Password reset email could not be sent',
+        });
+      }
+    }
+
+    // Same answer whether or not the email is registered
+    res.status(200).json({
+      success: true,
+      message: 'If that email is registered, a password reset link has been sent',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set a new password with a reset token; every session is logged out
+// @route   POST /api/v1/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res, next) => {
+  try {
+    const { error, value } = validateResetPassword(req.body);
+    if (error) {
+      return invalidRequest(res, 'Invalid reset data', error);
+    }
+
+    const user = await User.findOne({
+      resetPasswordToken: User.hashResetToken(value.token),
+      resetPasswordExpire: { $gt: new Date() },
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Reset token is invalid or has expired',
+      });
+    }
+
+    await revokeAllSessions(user._id);
+
+    user.password = value.password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save();
+
+    await sendTokenResponse(user, 200, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the signed-in user
+// @route   GET /api/v1/auth/me
+// @access  Private
+const getMe = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        id: req.user._id,
+        email: req.user.email,
+        role: req.user.role,
+        permissions: req.permissions,
+        createdAt: req.user.createdAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  register,
+  login,
+  refresh,
+  logout,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  getMe,
+};
@@ -0,0 +1,38 @@
+const cacheService = require('../services/cacheService');
+
+// @desc    Cache connection status
+// @route   GET /api/v1/cache/health
+// @access  Private (cache:admin)
+const getCacheHealth = async (req, res, next) => {
+  try {
+    const health = await cacheService.healthCheck();
+
+    res.status(200).json({
+      success: true,
+      data: health,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Drop every cached chapter response
+// @route   DELETE /api/v1/cache
+// @access  Private (cache:admin)
+const clearCache = async (req, res, next) => {
+  try {
+    const cleared = await cacheService.invalidatePattern('/api/v1/chapter*');
+
+    res.status(200).json({
+      success: true,
+      message: cleared ? 'Chapter cache cleared' : 'Cache not available',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCacheHealth,
+  clearCache,
+};
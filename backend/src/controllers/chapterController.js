@@ -1,10 +1,134 @@
 const Chapter = require('../models/Chapter');
+const ChapterProgress = require('../models/ChapterProgress');
 const cacheService = require('../services/cacheService');
-const { validateQuery, validateChapters } = require('../utils/validation');
+const {
+  validateChapter,
+  validateChapterPatch,
+  validateQuery,
+  validateUploadOptions,
+  validateChapterEditOptions,
+} = require('../utils/validation');
+const { importChapters, invalidateImportCaches } = require('../services/chapterImportService');
+const { enqueueImport } = require('../services/importJobService');
+const {
+  auditContext,
+  diffChapter,
+  recordAudit,
+  recordUpload,
+} = require('../services/auditService');
+const { deleteRevisions, ensureBaselines, recordRevisions } = require('../services/revisionService');
+const ChapterRevision = require('../models/ChapterRevision');
+const { deleteStatusHistory, recordStatusChanges } = require('../services/statusHistoryService');
+const { transitionError } = require('../config/statusWorkflow');
+const { resolveTaxonomy } = require('../services/taxonomyService');
+const { refreshWeakFlags } = require('../services/weakChapterService');
+const { detectFormat, parseChapters } = require('../utils/chapterParsers');
+const {
+  buildChapterFilter,
+  buildMatchStages,
+  buildPageMatchStages,
+  buildProjection,
+  buildSort,
+  decodeCursor,
+  encodeCursor,
+  notDeleted,
+  sortValuesExpression,
+  totalQuestionsExpression,
+} = require('../utils/chapterQuery');
+
+
+// Drop both the list cache and the single-chapter cache after a mutation
+const invalidateChapterCaches = async (id) => {
+  try {
+    await Promise.all([
+      cacheService.invalidateChapterCache(),
+      cacheService.invalidateSingleChapterCache(id),
+    ]);
+  } catch (cacheErr) {
+    console.warn('Cache invalidation failed:', cacheErr);
+  }
+};
 
-// @desc    Get all chapters with filtering and pagination
-// @route   GET /api/v1/chapters
-// @access  Public
+// Subject, class and unit as named in the taxonomy. Missing entries are created
+// with taxonomy 'create' and reported in `errors` with 'validate'.
+// Returns { placed, errors }
+const placeInTaxonomy = async ({ subject, class: className, unit }, taxonomy) => {
+  const { rows: [placed], errors: [errors] } = await resolveTaxonomy(
+    [{ subject, class: className, unit }],
+    { create: taxonomy === 'create' }
+  );
+  return { placed, errors };
+};
+
+// ?taxonomy=create|validate on PUT and PATCH; null after a 400 has been sent
+const editOptions = (req, res) => {
+  const { error, value } = validateChapterEditOptions({ taxonomy: req.query.taxonomy });
+  if (error) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid query parameters',
+      details: error.details.map(detail => detail.message),
+    });
+    return null;
+  }
+  return value;
+};
+
+const unknownTaxonomy = (res, errors) => {
+  return res.status(400).json({
+    success: false,
+    error: 'Unknown taxonomy entry',
+    details: errors,
+  });
+};
+
+// Apply the weak-chapter rules to a chapter that was just written; returns
+// the chapter as stored afterwards
+const refreshWeakFlag = async (chapter, userId) => {
+  const changedIds = await refreshWeakFlags([chapter._id], { userId });
+  return changedIds.length > 0 ? Chapter.findById(chapter._id) : chapter;
+};
+
+// Single-chapter audit entry with the fields that changed between before and after
+const auditChapterChange = (req, action, id, before, after, metadata) => {
+  const changes = diffChapter(before, after);
+  return recordAudit(auditContext(req), {
+    action,
+    targetType: 'chapter',
+    targetIds: [id],
+    changes: changes ? [{ target: id, ...changes }] : [],
+    metadata,
+  });
+};
+
+const transitionFailed = (res, message) => {
+  return res.status(400).json({
+    success: false,
+    error: 'Status change not allowed',
+    details: [message],
+  });
+};
+
+// The status a transition was checked against changed before the write landed
+const statusConflict = (res, status) => {
+  return res.status(409).json({
+    success: false,
+    error: 'Chapter was changed by another request',
+    details: [`status is no longer "${status}"; reload the chapter and try again`],
+  });
+};
+
+const validationFailed = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid chapter data',
+    details: error.details.map(detail => detail.message),
+  });
+};
+
+// @desc    Get all chapters with filtering, sorting, field selection and page or cursor pagination
+// @route   GET /api/v1/chapters?sort=-totalQuestions,chapter&fields=chapter,status&pagination=cursor
+// @access  Public (progress fields are the caller's own when signed in)
 const getChapters = async (req, res, next) => {
   try {
     const { error, value: validatedQuery } = validateQuery(req.query);
@@ -17,45 +141,86 @@ const getChapters = async (req, res, next) => {
       });
     }
 
-    const { class: className, unit, status, weakChapters, subject, page, limit } = validatedQuery;
+    const { page, limit, sort, fields, cursor } = validatedQuery;
+    const useCursor = validatedQuery.pagination === 'cursor' || cursor !== undefined;
+    const includeTotal = validatedQuery.includeTotal ?? !useCursor;
+
+    const sortSpec = buildSort(sort);
 
-    const cacheKey = cacheService.generateCacheKey('/api/v1/chapters', validatedQuery);
+    let after = null;
+    if (cursor) {
+      after = decodeCursor(cursor);
+      const matchesSort = after && after.sort === sort
+        && after.values.length === Object.keys(sortSpec).length;
+      if (!matchesSort) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid cursor',
+          details: [after ? 'cursor was issued for a different sort' : 'cursor is malformed'],
+        });
+      }
+    }
+
+    // Signed-in callers see their own progress, so their responses are cached per user
+    const userId = req.user ? String(req.user._id) : undefined;
+    const cacheKey = await cacheService.generateCacheKey('/api/v1/chapters', {
+      ...validatedQuery,
+      user: userId,
+    });
     const cachedData = await cacheService.get(cacheKey);
     if (cachedData) {
       return res.status(200).json(cachedData);
     }
 
-    const filter = {};
-    if (className) filter.class = className;
-    if (unit) filter.unit = unit;
-    if (status) filter.status = status;
-    if (subject) filter.subject = subject;
-    if (weakChapters) filter.isWeakChapter = weakChapters === 'true';
-
-    const skip = (page - 1) * limit;
-
-    const [filteredChapters, totalChapters] = await Promise.all([
-      Chapter.find(filter)
-        .skip(skip)
-        .limit(limit)
-        .sort({ createdAt: -1 })
-        .lean(),
-      Chapter.countDocuments(filter)
+    const filter = buildChapterFilter(validatedQuery);
+    const matchStages = buildMatchStages(filter, userId);
+    const projection = buildProjection(fields);
+
+    // Aggregate so the caller's progress can be sorted on and selected.
+    // One extra row is fetched to tell whether another page exists.
+    const pipeline = [
+      ...(after ? buildPageMatchStages(filter, userId, sortSpec, after.values) : matchStages),
+      { $sort: sortSpec },
+      ...(useCursor ? [] : [{ $skip: (page - 1) * limit }]),
+      { $limit: limit + 1 },
+      { $addFields: { _sortValues: sortValuesExpression(sortSpec) } },
+      ...(projection ? [{ $project: { ...projection, _sortValues: 1 } }] : []),
+    ];
+
+    const [rows, totalChapters] = await Promise.all([
+      Chapter.aggregate(pipeline),
+      includeTotal
+        ? Chapter.aggregate([...matchStages, { $count: 'total' }])
+          .then(([result]) => (result ? result.total : 0))
+        : null,
     ]);
 
-    const totalPages = Math.ceil(totalChapters / limit);
-
-    const responseData = {
-      success: true,
-      count: filteredChapters.length,
-      totalChapters,
-      totalPages,
-      currentPage: page,
-      hasNextPage: page < totalPages,
-      hasPrevPage: page > 1,
-      data: filteredChapters,
-      cached: false,
-    };
+    const hasNextPage = rows.length > limit;
+    const pageRows = rows.slice(0, limit);
+    const lastSortValues = pageRows.length > 0 ? pageRows[pageRows.length - 1]._sortValues : null;
+    const filteredChapters = pageRows.map(({ _sortValues, ...chapter }) => chapter);
+
+    const responseData = useCursor
+      ? {
+        success: true,
+        count: filteredChapters.length,
+        totalChapters,
+        hasNextPage,
+        nextCursor: hasNextPage ? encodeCursor(sort, lastSortValues) : null,
+        data: filteredChapters,
+        cached: false,
+      }
+      : {
+        success: true,
+        count: filteredChapters.length,
+        totalChapters,
+        totalPages: includeTotal ? Math.ceil(totalChapters / limit) : null,
+        currentPage: page,
+        hasNextPage,
+        hasPrevPage: page > 1,
+        data: filteredChapters,
+        cached: false,
+      };
 
     await cacheService.set(cacheKey, responseData);
     res.status(200).json(responseData);
@@ -65,12 +230,23 @@ const getChapters = async (req, res, next) => {
   }
 };
 
-// @desc    Get single chapter
+// @desc    Get single chapter; with a bearer token its progress fields are the caller's own
 // @route   GET /api/v1/chapters/:id
 // @access  Public
 const getChapter = async (req, res, next) => {
   try {
-    const chapter = await Chapter.findById(req.params.id);
+    // Only the catalogue view is cached; progress is merged per request
+    const userId = req.user ? req.user._id : null;
+    const cacheKey = `/api/v1/chapter/${req.params.id}`;
+    const cachedData = userId ? null : await cacheService.get(cacheKey);
+    if (cachedData) {
+      return res.status(200).json(cachedData);
+    }
+
+    let chapter = await Chapter.findOne({ _id: req.params.id, ...notDeleted });
+    if (chapter && userId) {
+      [chapter] = await Chapter.aggregate(buildMatchStages({ _id: chapter._id, ...notDeleted }, userId));
+    }
 
     if (!chapter) {
       return res.status(404).json({
@@ -79,42 +255,77 @@ const getChapter = async (req, res, next) => {
       });
     }
 
-    res.status(200).json({
+    const responseData = {
       success: true,
       data: chapter,
-    });
+    };
+
+    if (!userId) await cacheService.set(cacheKey, responseData);
+    res.status(200).json(responseData);
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Upload chapters (Admin only)
-// @route   POST /api/v1/chapters
-// @access  Private/Admin
+// @desc    Upload chapters
+// @route   POST /api/v1/chapters?mode=insert|upsert|replace-subject&async=true&taxonomy=create|validate
+// @access  Private (chapters:write)
 const uploadChapters = async (req, res, next) => {
   try {
+    // Options come from the query string, or from form fields on multipart uploads
+    const optionsSource = req.file ? { ...req.body, ...req.query } : req.query;
+    const { error: optionsError, value: uploadOptions } = validateUploadOptions({
+      mode: optionsSource.mode,
+      format: optionsSource.format,
+      async: optionsSource.async,
+      taxonomy: optionsSource.taxonomy,
+    });
+
+    if (optionsError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid upload options',
+        details: optionsError.details.map(detail => detail.message),
+      });
+    }
+
     let chaptersData;
+    let lines;
 
     // Check if data is sent in request body or as file
+    // JSON, CSV and NDJSON files and raw CSV/NDJSON bodies go through the parsers
+    let content;
+    let format = uploadOptions.format;
     if (req.file) {
-      try {
-        const fileContent = req.file.buffer.toString('utf8');
-        chaptersData = JSON.parse(fileContent);
-      } catch (parseError) {
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid JSON file format',
-        });
-      }
+      content = req.file.buffer.toString('utf8');
+      format = format || detectFormat({
+        filename: req.file.originalname,
+        mimetype: req.file.mimetype,
+      }) || 'json';
+    } else if (typeof req.body === 'string') {
+      content = req.body;
+      format = format || detectFormat({ mimetype: req.headers['content-type'] });
     } else if (req.body && Array.isArray(req.body)) {
       chaptersData = req.body;
     } else {
       return res.status(400).json({
         success: false,
-        error: 'No chapters data provided. Send as JSON array in body or upload JSON file.',
+        error: 'No chapters data provided. Send as JSON array in body or upload a JSON, CSV or NDJSON file.',
       });
     }
 
+    if (content !== undefined) {
+      try {
+        ({ rows: chaptersData, lines } = parseChapters(content, format));
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid ${String(format).toUpperCase()} file format`,
+          details: [parseError.message],
+        });
+      }
+    }
+
     if (!Array.isArray(chaptersData) || chaptersData.length === 0) {
       return res.status(400).json({
         success: false,
@@ -122,62 +333,75 @@ const uploadChapters = async (req, res, next) => {
       });
     }
 
-    // Validate all chapters
-    const validationResult = validateChapters(chaptersData);
-    
-    const uploadedChapters = [];
-    const failedChapters = validationResult.invalid;
+    const { mode, taxonomy } = uploadOptions;
+
+    // Large uploads can be handed to the background worker
+    if (uploadOptions.async) {
+      const job = await enqueueImport(chaptersData, {
+        mode,
+        format: format || 'json',
+        taxonomy,
+        lines,
+        userId: req.user && req.user._id,
+        audit: auditContext(req),
+      });
 
-    // Upload valid chapters
-    if (validationResult.valid.length > 0) {
-      try {
-        const savedChapters = await Chapter.insertMany(validationResult.valid, {
-          ordered: false, // Continue inserting even if some documents fail
-        });
-        uploadedChapters.push(...savedChapters);
-      } catch (bulkError) {
-        // Handle duplicate key errors and other database errors
-        if (bulkError.writeErrors) {
-          bulkError.writeErrors.forEach(writeError => {
-            const failedDoc = validationResult.valid[writeError.index];
-            failedChapters.push({
-              index: writeError.index,
-              chapter: failedDoc,
-              errors: [writeError.errmsg || 'Database error'],
-            });
-          });
-        }
-        
-        // Add successfully inserted documents
-        if (bulkError.insertedDocs) {
-          uploadedChapters.push(...bulkError.insertedDocs);
-        }
-      }
+      return res.status(202).json({
+        success: true,
+        message: `Import of ${chaptersData.length} chapters queued`,
+        data: {
+          jobId: job._id,
+          status: job.status,
+          totalRows: job.totalRows,
+          statusUrl: `/api/v1/imports/${job._id}`,
+        },
+      });
     }
 
+    const result = await importChapters(chaptersData, {
+      mode,
+      lines,
+      userId: req.user && req.user._id,
+      taxonomy,
+    });
+
     // Invalidate cache after successful uploads
-    try {
-      if (uploadedChapters.length > 0) {
-        await cacheService.invalidateChapterCache();
-      }
-    }catch (cacheErr) {
-      console.warn('Cache invalidation failed:', cacheErr);
-    }
-   
+    await invalidateImportCaches(result);
+
+    await recordUpload(auditContext(req), result, {
+      mode,
+      format: format || 'json',
+      taxonomy,
+      createdCount: result.createdCount,
+      updatedCount: result.updatedCount,
+      unchangedCount: result.unchangedCount,
+      removedCount: result.removedCount,
+      failedCount: result.failed.length,
+    });
+
     res.status(201).json({
       success: true,
-      message: `${uploadedChapters.length} chapters uploaded successfully`,
+      message: `${result.uploaded.length} chapters uploaded successfully`,
       data: {
-        uploadedCount: uploadedChapters.length,
-        failedCount: failedChapters.length,
-        uploadedChapters: uploadedChapters.map(chapter => ({
-          id: chapter._id,
-          subject: chapter.subject,
-          chapter: chapter.chapter,
-          class: chapter.class,
+        mode,
+        uploadedCount: result.uploaded.length,
+        createdCount: result.createdCount,
+        updatedCount: result.updatedCount,
+        unchangedCount: result.unchangedCount,
+        removedCount: result.removedCount,
+        failedCount: result.failed.length,
+        uploadedChapters: result.uploaded.map(row => ({
+          index: row.index,
+          line: row.line,
+          result: row.result,
+          id: row.chapter._id,
+          subject: row.chapter.subject,
+          chapter: row.chapter.chapter,
+          class: row.chapter.class,
         })),
-        failedChapters: failedChapters.map(failed => ({
+        failedChapters: result.failed.map(failed => ({
           index: failed.index,
+          line: failed.line,
           chapter: {
             subject: failed.chapter.subject,
             chapter: failed.chapter.chapter,
@@ -193,26 +417,62 @@ const uploadChapters = async (req, res, next) => {
 
 };
 
-// @desc    Update a chapter
-// @route   PUT /api/v1/chapters/:id
-// @access  Private/Admin
+// @desc    Replace a chapter
+// @route   PUT /api/v1/chapters/:id?taxonomy=validate|create
+// @access  Private (chapters:write)
 const updateChapter = async (req, res, next) => {
   try {
-    const updatedChapter = await Chapter.findByIdAndUpdate(
-      req.params.id,
-      req.body,
+    const { error, value } = validateChapter(req.body);
+    if (error) {
+      return validationFailed(res, error);
+    }
+    const options = editOptions(req, res);
+    if (!options) return;
+
+    const { statusReason, ...fields } = value;
+
+    const before = await Chapter.findOne({ _id: req.params.id, ...notDeleted }).lean();
+    if (!before) {
+      return res.status(404).json({ success: false, error: 'Chapter not found' });
+    }
+
+    const transitionMessage = transitionError(before.status, fields.status, statusReason);
+    if (transitionMessage) {
+      return transitionFailed(res, transitionMessage);
+    }
+
+    const { placed, errors: taxonomyErrors } = await placeInTaxonomy(fields, options.taxonomy);
+    if (taxonomyErrors.length > 0) {
+      return unknownTaxonomy(res, taxonomyErrors);
+    }
+
+    await ensureBaselines([before]);
+    let updatedChapter = await Chapter.findOneAndUpdate(
+      { _id: req.params.id, ...notDeleted, status: before.status },
+      {
+        ...fields,
+        totalQuestions: Chapter.countQuestions(fields.yearWiseQuestionCount),
+        ...placed,
+      },
       { new: true, runValidators: true }
     );
 
     if (!updatedChapter) {
-      return res.status(404).json({ success: false, message: 'Chapter not found' });
+      return statusConflict(res, before.status);
     }
 
-    try {
-      await cacheService.invalidateChapterCache();
-    } catch (cacheErr) {
-      console.warn('Cache invalidation failed:', cacheErr);
-    }
+    await recordRevisions([updatedChapter], { action: 'update', userId: req.user._id });
+    updatedChapter = await refreshWeakFlag(updatedChapter, req.user._id);
+    await recordStatusChanges([{
+      chapter: updatedChapter._id,
+      from: before.status,
+      to: updatedChapter.status,
+      reason: statusReason,
+      source: 'update',
+      changedBy: req.user._id,
+    }]);
+    await invalidateChapterCaches(updatedChapter._id);
+    await auditChapterChange(req, 'chapter.update', updatedChapter._id, before, updatedChapter, { method: 'PUT' });
 
     res.status(200).json({
       success: true,
@@ -224,11 +484,240 @@ const updateChapter = async (req, res, next) => {
   }
 };
 
+// @desc    Partially update a chapter
+// @route   PATCH /api/v1/chapters/:id?taxonomy=validate|create
+// @access  Private (chapters:write)
+const patchChapter = async (req, res, next) => {
+  try {
+    const { error, value } = validateChapterPatch(req.body);
+    if (error) {
+      return validationFailed(res, error);
+    }
+    const options = editOptions(req, res);
+    if (!options) return;
+
+    // Flatten year counts so a partial object only touches the years it names
+    const { yearWiseQuestionCount, statusReason, ...fields } = value;
+    const update = { ...fields };
+    if (yearWiseQuestionCount) {
+      Object.entries(yearWiseQuestionCount).forEach(([year, count]) => {
+        update[`yearWiseQuestionCount.${year}`] = count;
+      });
+    }
+
+    const before = await Chapter.findOne({ _id: req.params.id, ...notDeleted }).lean();
+    if (!before) {
+      return res.status(404).json({ success: false, error: 'Chapter not found' });
+    }
+
+    const transitionMessage = transitionError(before.status, fields.status, statusReason);
+    if (transitionMessage) {
+      return transitionFailed(res, transitionMessage);
+    }
+
+    // A moved chapter is placed against its full subject, class and unit
+    if (['subject', 'class', 'unit'].some(field => field in fields)) {
+      const { placed, errors: taxonomyErrors } = await placeInTaxonomy({ ...before, ...fields }, options.taxonomy);
+      if (taxonomyErrors.length > 0) {
+        return unknownTaxonomy(res, taxonomyErrors);
+      }
+      Object.assign(update, placed);
+    }
+
+    await ensureBaselines([before]);
+    let updatedChapter = await Chapter.findOneAndUpdate(
+      { _id: req.params.id, ...notDeleted, status: before.status },
+      { $set: update },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedChapter) {
+      return statusConflict(res, before.status);
+    }
+
+    // Only some years were written, so the stored total is recomputed from the result
+    if (yearWiseQuestionCount) {
+      updatedChapter = await Chapter.findByIdAndUpdate(
+        updatedChapter._id,
+        [{ $set: { totalQuestions: totalQuestionsExpression } }],
+        { new: true }
+      );
+    }
+
+    await recordRevisions([updatedChapter], { action: 'update', userId: req.user._id });
+    updatedChapter = await refreshWeakFlag(updatedChapter, req.user._id);
+    await recordStatusChanges([{
+      chapter: updatedChapter._id,
+      from: before.status,
+      to: updatedChapter.status,
+      reason: statusReason,
+      source: 'update',
+      changedBy: req.user._id,
+    }]);
+    await invalidateChapterCaches(updatedChapter._id);
+    await auditChapterChange(req, 'chapter.update', updatedChapter._id, before, updatedChapter, { method: 'PATCH' });
+
+    res.status(200).json({
+      success: true,
+      data: updatedChapter,
+    });
+  } catch (error) {
+    console.error('Error in patchChapter:', error);
+    next(error);
+  }
+};
+
+// @desc    Delete a chapter (soft by default, ?permanent=true to remove it)
+// @route   DELETE /api/v1/chapters/:id
+// @access  Private (chapters:delete)
+const deleteChapter = async (req, res, next) => {
+  try {
+    const permanent = req.query.permanent === 'true';
+
+    const chapter = permanent
+      ? await Chapter.findByIdAndDelete(req.params.id)
+      : await Chapter.findOneAndUpdate(
+        { _id: req.params.id, ...notDeleted },
+        { $set: { isDeleted: true, deletedAt: new Date() } },
+        { new: true }
+      );
+
+    if (!chapter) {
+      return res.status(404).json({ success: false, error: 'Chapter not found' });
+    }
+
+    const previous = permanent ? chapter : { ...chapter.toObject({ flattenMaps: true }), isDeleted: false };
+
+    if (permanent) {
+      await ChapterProgress.deleteMany({ chapter: chapter._id });
+      await deleteRevisions(chapter._id);
+      await deleteStatusHistory(chapter._id);
+    } else {
+      await ensureBaselines([previous]);
+      await recordRevisions([chapter], { action: 'delete', userId: req.user._id });
+    }
+
+    await invalidateChapterCaches(chapter._id);
+    await auditChapterChange(req, 'chapter.delete', chapter._id, previous, permanent ? null : chapter, { permanent });
+
+    res.status(200).json({
+      success: true,
+      message: permanent ? 'Chapter permanently deleted' : 'Chapter deleted',
+      data: {
+        id: chapter._id,
+        permanent,
+      },
+    });
+  } catch (error) {
+    console.error('Error in deleteChapter:', error);
+    next(error);
+  }
+};
+
+// @desc    Restore a soft-deleted chapter
+// @route   POST /api/v1/chapters/:id/restore
+// @access  Private (chapters:delete)
+const restoreChapter = async (req, res, next) => {
+  try {
+    const chapter = await Chapter.findOneAndUpdate(
+      { _id: req.params.id, isDeleted: true },
+      { $set: { isDeleted: false, deletedAt: null } },
+      { new: true }
+    );
+
+    if (!chapter) {
+      return res.status(404).json({ success: false, error: 'Deleted chapter not found' });
+    }
+
+    await ensureBaselines([{ ...chapter.toObject({ flattenMaps: true }), isDeleted: true }]);
+    await recordRevisions([chapter], { action: 'restore', userId: req.user._id });
+    await invalidateChapterCaches(chapter._id);
+    await auditChapterChange(req, 'chapter.restore', chapter._id, { isDeleted: true }, { isDeleted: false });
+
+    res.status(200).json({
+      success: true,
+      data: chapter,
+    });
+  } catch (error) {
+    console.error('Error in restoreChapter:', error);
+    next(error);
+  }
+};
+
+// @desc    Roll a chapter back to an earlier revision (recorded as a new revision)
+// @route   POST /api/v1/chapters/:id/revisions/:revision/restore
+// @access  Private (chapters:write)
+const rollbackChapter = async (req, res, next) => {
+  try {
+    const revision = Number(req.params.revision);
+    if (!Number.isInteger(revision) || revision < 1) {
+      return res.status(400).json({ success: false, error: 'Revision must be a positive integer' });
+    }
+
+    const before = await Chapter.findOne({ _id: req.params.id, ...notDeleted }).lean();
+    if (!before) {
+      return res.status(404).json({ success: false, error: 'Chapter not found' });
+    }
+
+    const target = await ChapterRevision.findOne({ chapter: before._id, revision }).lean();
+    if (!target) {
+      return res.status(404).json({ success: false, error: `Revision ${revision} not found` });
+    }
+
+    // Deletion state is not rolled back; use DELETE or /restore for that. The
+    // natural key (subject, class, chapter) stays as it is, so a rollback can
+    // never collide with another chapter.
+    const { isDeleted, subject, class: className, chapter, ...fields } = target.snapshot;
+
+    await ensureBaselines([before]);
+    const updatedChapter = await Chapter.findOneAndUpdate(
+      { _id: before._id, ...notDeleted },
+      { $set: { ...fields, totalQuestions: Chapter.countQuestions(fields.yearWiseQuestionCount) } },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedChapter) {
+      return res.status(404).json({ success: false, error: 'Chapter not found' });
+    }
+
+    await recordRevisions([updatedChapter], {
+      action: 'rollback',
+      userId: req.user._id,
+      restoredFrom: revision,
+    });
+    // Rollbacks skip the status workflow rules but still show up in the timeline
+    await recordStatusChanges([{
+      chapter: updatedChapter._id,
+      from: before.status,
+      to: updatedChapter.status,
+      reason: `Rolled back to revision ${revision}`,
+      source: 'rollback',
+      changedBy: req.user._id,
+    }]);
+    await invalidateChapterCaches(updatedChapter._id);
+    await auditChapterChange(req, 'chapter.rollback', updatedChapter._id, before, updatedChapter, {
+      restoredFrom: revision,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: updatedChapter,
+    });
+  } catch (error) {
+    console.error('Error in rollbackChapter:', error);
+    next(error);
+  }
+};
+
 module.exports = {
   getChapters,
   getChapter,
   uploadChapters,
   updateChapter,
+  patchChapter,
+  deleteChapter,
+  restoreChapter,
+  rollbackChapter,
 };
 
 
@@ -237,6 +726,7 @@ module.exports = {
 
 
 
+
 // const Chapter = require('../models/Chapter');
 // const cacheService = require('../services/cacheService');
 // const { validateQuery, validateChapters } = require('../utils/validation');
@@ -0,0 +1,77 @@
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const Chapter = require('../models/Chapter');
+const { validateExportQuery } = require('../utils/validation');
+const {
+  buildChapterFilter,
+  buildMatchStages,
+  buildSort,
+  splitProgressFilter,
+} = require('../utils/chapterQuery');
+const { EXPORT_FIELDS, createSerializer, toExportRow } = require('../utils/chapterExport');
+
+// @desc    Stream every matching chapter as CSV, NDJSON or JSON, ready to upload again.
+//          With a bearer token questionSolved, status and isWeakChapter are the
+//          caller's own, as in the list.
+// @route   GET /api/v1/chapters/export?format=csv|ndjson|json
+// @access  Public
+const exportChapters = async (req, res, next) => {
+  try {
+    const { error, value: validatedQuery } = validateExportQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        details: error.details.map(detail => detail.message),
+      });
+    }
+
+    const { format, sort } = validatedQuery;
+    const userId = req.user ? req.user._id : null;
+    const filter = buildChapterFilter(validatedQuery);
+    // Progress filters only exist after the overlay, so the year columns come
+    // from the catalogue part of the filter
+    const yearFilter = userId ? splitProgressFilter(filter).chapterFilter : filter;
+    const serializer = createSerializer(format, {
+      years: format === 'csv' ? await Chapter.examYears(yearFilter) : [],
+    });
+
+    const cursor = Chapter.aggregate([
+      ...buildMatchStages(filter, userId),
+      { $sort: buildSort(sort) },
+      { $project: Object.fromEntries(EXPORT_FIELDS.map(field => [field, 1])) },
+    ]).allowDiskUse(true).cursor({ batchSize: 500 });
+
+    // Leaving the loop early (client gone) closes the Mongo cursor
+    async function* chunks() {
+      yield serializer.start();
+      let count = 0;
+      for await (const doc of cursor) {
+        yield serializer.row(toExportRow(doc), count);
+        count += 1;
+      }
+      yield serializer.end(count);
+    }
+
+    const date = new Date().toISOString().slice(0, 10);
+    res.status(200).set({
+      'Content-Type': `${serializer.contentType}; charset=utf-8`,
+      'Content-Disposition': `attachment; filename="chapters-${date}.${serializer.extension}"`,
+    });
+
+    await pipeline(Readable.from(chunks()), res);
+  } catch (error) {
+    console.error('Error in exportChapters:', error);
+    // Once streaming has started the response can only be cut short
+    if (res.headersSent) {
+      res.destroy(error);
+      return;
+    }
+    next(error);
+  }
+};
+
+module.exports = {
+  exportChapters,
+};
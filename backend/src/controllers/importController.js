@@ -0,0 +1,51 @@
+const ImportJob = require('../models/ImportJob');
+
+// @desc    Get background import job progress
+// @route   GET /api/v1/imports/:jobId
+// @access  Private (chapters:write)
+const getImportJob = async (req, res, next) => {
+  try {
+    const job = await ImportJob.findById(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Import job not found',
+      });
+    }
+
+    const isFinished = ['completed', 'failed'].includes(job.status);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobId: job._id,
+        status: job.status,
+        mode: job.mode,
+        format: job.format,
+        taxonomy: job.taxonomy,
+        progress: job.progress,
+        totalRows: job.totalRows,
+        processedRows: job.processedRows,
+        failures: job.failures,
+        error: job.error,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        summary: isFinished ? {
+          createdCount: job.createdCount,
+          updatedCount: job.updatedCount,
+          unchangedCount: job.unchangedCount,
+          removedCount: job.removedCount,
+          failedCount: job.failedCount,
+        } : null,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getImportJob,
+};
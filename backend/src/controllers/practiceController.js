@@ -0,0 +1,139 @@
+const Chapter = require('../models/Chapter');
+const PracticeSession = require('../models/PracticeSession');
+const cacheService = require('../services/cacheService');
+const { getPracticeStats, logPracticeSession } = require('../services/practiceService');
+const {
+  validatePracticeQuery,
+  validatePracticeSession,
+  validatePracticeStatsQuery,
+} = require('../utils/validation');
+const { notDeleted } = require('../utils/chapterQuery');
+
+// @desc    Log a practice session; adds the correct answers to my questionSolved (up to the chapter total)
+// @route   POST /api/v1/practice-sessions
+// @access  Private (progress:write)
+const createPracticeSession = async (req, res, next) => {
+  try {
+    const { error, value } = validatePracticeSession(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid practice session',
+        details: error.details.map(detail => detail.message),
+      });
+    }
+
+    const chapter = await Chapter.findOne({ _id: value.chapter, ...notDeleted })
+      .select('isWeakChapter totalQuestions')
+      .lean();
+    if (!chapter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Chapter not found',
+      });
+    }
+
+    const { session, progress } = await logPracticeSession(req.user._id, value, {
+      totalQuestions: chapter.totalQuestions ?? null,
+    });
+
+    try {
+      await cacheService.invalidateUserChapterCache(req.user._id);
+    } catch (cacheErr) {
+      console.warn('Cache invalidation failed:', cacheErr);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: session,
+      progress: {
+        chapter: progress.chapter,
+        questionSolved: progress.questionSolved,
+        status: progress.status,
+        isWeakChapter: progress.isWeakChapter ?? Boolean(chapter.isWeakChapter),
+        updatedAt: progress.updatedAt,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    My practice sessions, newest first
+// @route   GET /api/v1/practice-sessions?chapter=&from=&to=
+// @access  Private
+const getPracticeSessions = async (req, res, next) => {
+  try {
+    const { error, value } = validatePracticeQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        details: error.details.map(detail => detail.message),
+      });
+    }
+
+    const { chapter, from, to, page, limit } = value;
+    const filter = { user: req.user._id };
+    if (chapter) filter.chapter = chapter;
+    if (from || to) {
+      filter.practicedAt = {};
+      if (from) filter.practicedAt.$gte = from;
+      if (to) filter.practicedAt.$lte = to;
+    }
+
+    const [sessions, totalSessions] = await Promise.all([
+      PracticeSession.find(filter)
+        .populate('chapter', 'subject chapter class unit')
+        .sort({ practicedAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      PracticeSession.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(totalSessions / limit);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      totalSessions,
+      totalPages,
+      currentPage: page,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      data: sessions,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    My daily practice streak, all-time totals and weekly totals
+// @route   GET /api/v1/practice-sessions/stats?weeks=8&timeZone=Asia/Kolkata
+// @access  Private
+const getMyPracticeStats = async (req, res, next) => {
+  try {
+    const { error, value } = validatePracticeStatsQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        details: error.details.map(detail => detail.message),
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await getPracticeStats(req.user._id, value),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createPracticeSession,
+  getMyPracticeStats,
+  getPracticeSessions,
+};
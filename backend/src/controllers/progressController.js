@@ -0,0 +1,169 @@
+const Chapter = require('../models/Chapter');
+const ChapterProgress = require('../models/ChapterProgress');
+const cacheService = require('../services/cacheService');
+const { validateProgress } = require('../utils/validation');
+const { notDeleted } = require('../utils/chapterQuery');
+const { transitionError } = require('../config/statusWorkflow');
+const { recordStatusChanges } = require('../services/statusHistoryService');
+
+// chapter: { _id, isWeakChapter, weakReasons }. Without a flag of the user's
+// own, the chapter's rule-derived flag and reasons apply.
+const formatProgress = (chapter, progress) => {
+  const ownFlag = progress ? progress.isWeakChapter ?? null : null;
+  return {
+    chapter: chapter._id,
+    questionSolved: progress ? progress.questionSolved : ChapterProgress.DEFAULT_PROGRESS.questionSolved,
+    status: progress ? progress.status : ChapterProgress.DEFAULT_PROGRESS.status,
+    isWeakChapter: ownFlag ?? Boolean(chapter.isWeakChapter),
+    weakReasons: ownFlag === null ? chapter.weakReasons || [] : [],
+    updatedAt: progress ? progress.updatedAt : null,
+  };
+};
+
+const CHAPTER_FLAG_FIELDS = 'isWeakChapter weakReasons';
+
+// @desc    Get my progress on every chapter I have touched
+// @route   GET /api/v1/progress
+// @access  Private
+const getMyProgress = async (req, res, next) => {
+  try {
+    const progress = await ChapterProgress.find({ user: req.user._id })
+      .populate('chapter', `subject chapter class unit isDeleted ${CHAPTER_FLAG_FIELDS}`)
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    const data = progress
+      .filter(entry => entry.chapter && !entry.chapter.isDeleted)
+      .map(entry => ({
+        ...formatProgress(entry.chapter, entry),
+        subject: entry.chapter.subject,
+        chapterName: entry.chapter.chapter,
+        class: entry.chapter.class,
+        unit: entry.chapter.unit,
+      }));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get my progress on one chapter
+// @route   GET /api/v1/progress/:chapterId
+// @access  Private
+const getChapterProgress = async (req, res, next) => {
+  try {
+    const chapter = await Chapter.findOne({ _id: req.params.chapterId, ...notDeleted })
+      .select(CHAPTER_FLAG_FIELDS)
+      .lean();
+    if (!chapter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Chapter not found',
+      });
+    }
+
+    const progress = await ChapterProgress.findOne({
+      user: req.user._id,
+      chapter: req.params.chapterId,
+    }).lean();
+
+    res.status(200).json({
+      success: true,
+      data: formatProgress(chapter, progress),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update my progress on one chapter
+// @route   PATCH /api/v1/progress/:chapterId
+// @access  Private (progress:write)
+const updateChapterProgress = async (req, res, next) => {
+  try {
+    const { error, value } = validateProgress(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid progress data',
+        details: error.details.map(detail => detail.message),
+      });
+    }
+
+    const chapter = await Chapter.findOne({ _id: req.params.chapterId, ...notDeleted })
+      .select(CHAPTER_FLAG_FIELDS)
+      .lean();
+    if (!chapter) {
+      return res.status(404).json({
+        success: false,
+        error: 'Chapter not found',
+      });
+    }
+
+    const { statusReason, ...fields } = value;
+    const current = await ChapterProgress.findOne({ user: req.user._id, chapter: chapter._id }).lean();
+    const previousStatus = current ? current.status : ChapterProgress.DEFAULT_PROGRESS.status;
+
+    const transitionMessage = transitionError(previousStatus, fields.status, statusReason);
+    if (transitionMessage) {
+      return res.status(400).json({
+        success: false,
+        error: 'Status change not allowed',
+        details: [transitionMessage],
+      });
+    }
+
+    // Only write if the status checked above is still the stored one. A first
+    // write that races another one fails on the unique (user, chapter) index.
+    const progress = await ChapterProgress.findOneAndUpdate(
+      { user: req.user._id, chapter: chapter._id, status: previousStatus },
+      { $set: fields },
+      { new: true, upsert: !current, runValidators: true, setDefaultsOnInsert: true }
+    ).lean().catch((writeError) => {
+      if (writeError.code === 11000) return null;
+      throw writeError;
+    });
+
+    if (!progress) {
+      return res.status(409).json({
+        success: false,
+        error: 'Progress was changed by another request',
+        details: [`status is no longer "${previousStatus}"; reload your progress and try again`],
+      });
+    }
+
+    await recordStatusChanges([{
+      chapter: chapter._id,
+      user: req.user._id,
+      from: previousStatus,
+      to: progress.status,
+      reason: statusReason,
+      source: 'progress',
+      changedBy: req.user._id,
+    }]);
+
+    try {
+      await cacheService.invalidateUserChapterCache(req.user._id);
+    } catch (cacheErr) {
+      console.warn('Cache invalidation failed:', cacheErr);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatProgress(chapter, progress),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMyProgress,
+  getChapterProgress,
+  updateChapterProgress,
+};
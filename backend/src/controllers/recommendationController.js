@@ -0,0 +1,91 @@
+const Chapter = require('../models/Chapter');
+const cacheService = require('../services/cacheService');
+const { validateRecommendationsQuery } = require('../utils/validation');
+const { buildChapterFilter, buildMatchStages, notDeleted } = require('../utils/chapterQuery');
+const { explainPriority, scoreChapters } = require('../utils/chapterPriority');
+const { RECOMMENDATION_WEIGHTS } = require('../config/recommendations');
+
+// Configured weights with any per-request *Weight overrides applied
+const resolveWeights = query => Object.fromEntries(
+  Object.entries(RECOMMENDATION_WEIGHTS).map(([factor, weight]) => [factor, query[`${factor}Weight`] ?? weight])
+);
+
+// @desc    Top chapters to study next, each with the reasons it was picked
+// @route   GET /api/v1/chapters/recommendations?limit=10&weakWeight=0.5
+// @access  Public (signed-in callers are scored on their own progress)
+const getRecommendations = async (req, res, next) => {
+  try {
+    const { error, value: validatedQuery } = validateRecommendationsQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        details: error.details.map(detail => detail.message),
+      });
+    }
+
+    const userId = req.user ? String(req.user._id) : undefined;
+    const cacheKey = await cacheService.generateCacheKey('/api/v1/chapters/recommendations', {
+      ...validatedQuery,
+      user: userId,
+    });
+    const cachedData = await cacheService.get(cacheKey);
+    if (cachedData) {
+      return res.status(200).json(cachedData);
+    }
+
+    const { limit, recentYears, includeCompleted, status } = validatedQuery;
+    const weights = resolveWeights(validatedQuery);
+
+    const [chapters, years] = await Promise.all([
+      Chapter.aggregate([
+        ...buildMatchStages(buildChapterFilter(validatedQuery), userId),
+        ...(includeCompleted || status ? [] : [{ $match: { status: { $ne: 'Completed' } } }]),
+        { $project: { subject: 1, chapter: 1, class: 1, unit: 1, yearWiseQuestionCount: 1, questionSolved: 1, status: 1, isWeakChapter: 1 } },
+      ]),
+      Chapter.examYears(notDeleted),
+    ]);
+
+    const options = { years, recentYears, weights };
+    const picks = scoreChapters(chapters, options)
+      .slice(0, limit)
+      .map((chapter) => {
+        const reasons = explainPriority(chapter, options);
+        return {
+          id: chapter._id,
+          subject: chapter.subject,
+          chapter: chapter.chapter,
+          class: chapter.class,
+          unit: chapter.unit,
+          status: chapter.status,
+          isWeakChapter: chapter.isWeakChapter,
+          questionSolved: chapter.questionSolved,
+          score: chapter.score,
+          factors: chapter.factors,
+          reasons,
+          explanation: reasons.join(', '),
+        };
+      });
+
+    const responseData = {
+      success: true,
+      weights,
+      recentYears: years.slice(-recentYears),
+      count: picks.length,
+      totalCandidates: chapters.length,
+      data: picks,
+      cached: false,
+    };
+
+    await cacheService.set(cacheKey, responseData);
+    res.status(200).json(responseData);
+  } catch (error) {
+    console.error('Error in getRecommendations:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getRecommendations,
+};
@@ -0,0 +1,119 @@
+const Chapter = require('../models/Chapter');
+const ChapterRevision = require('../models/ChapterRevision');
+const { diffChapter } = require('../services/auditService');
+const { validateRevisionQuery, validateRevisionDiffQuery } = require('../utils/validation');
+
+const invalidQuery = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid query parameters',
+    details: error.details.map(detail => detail.message),
+  });
+};
+
+const formatRevision = revision => ({
+  revision: revision.revision,
+  action: revision.action,
+  restoredFrom: revision.restoredFrom,
+  changedBy: revision.changedBy,
+  createdAt: revision.createdAt,
+  snapshot: revision.snapshot,
+});
+
+// Revisions outlive soft deletes, so deleted chapters still have a history
+const chapterExists = id => Chapter.exists({ _id: id });
+
+// @desc    List a chapter's revisions, newest first
+// @route   GET /api/v1/chapters/:id/revisions
+// @access  Private (chapters:write)
+const getRevisions = async (req, res, next) => {
+  try {
+    const { error, value } = validateRevisionQuery(req.query);
+    if (error) {
+      return invalidQuery(res, error);
+    }
+
+    if (!(await chapterExists(req.params.id))) {
+      return res.status(404).json({ success: false, error: 'Chapter not found' });
+    }
+
+    const { page, limit } = value;
+    const filter = { chapter: req.params.id };
+
+    const [revisions, totalRevisions] = await Promise.all([
+      ChapterRevision.find(filter)
+        .sort({ revision: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('changedBy', 'email')
+        .lean(),
+      ChapterRevision.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(totalRevisions / limit);
+
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      totalRevisions,
+      totalPages,
+      currentPage: page,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      data: revisions.map(formatRevision),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Fields that changed between two revisions of a chapter
+// @route   GET /api/v1/chapters/:id/revisions/diff?from=2&to=5
+// @access  Private (chapters:write)
+const diffRevisions = async (req, res, next) => {
+  try {
+    const { error, value } = validateRevisionDiffQuery(req.query);
+    if (error) {
+      return invalidQuery(res, error);
+    }
+
+    let { to } = value;
+    if (to === undefined) {
+      const latest = await ChapterRevision.findOne({ chapter: req.params.id })
+        .sort({ revision: -1 })
+        .select('revision')
+        .lean();
+      to = latest ? latest.revision : value.from;
+    }
+
+    const revisions = await ChapterRevision.find({
+      chapter: req.params.id,
+      revision: { $in: [value.from, to] },
+    }).lean();
+    const from = revisions.find(revision => revision.revision === value.from);
+    const target = revisions.find(revision => revision.revision === to);
+
+    if (!from || !target) {
+      return res.status(404).json({
+        success: false,
+        error: `Revision ${!from ? value.from : to} not found`,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from: value.from,
+        to,
+        changes: diffChapter(from.snapshot, target.snapshot) || { before: {}, after: {} },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  diffRevisions,
+  getRevisions,
+};
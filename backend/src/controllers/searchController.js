@@ -0,0 +1,131 @@
+const Chapter = require('../models/Chapter');
+const cacheService = require('../services/cacheService');
+const { validateSearchQuery } = require('../utils/validation');
+const { buildChapterFilter, buildMatchStages, splitProgressFilter } = require('../utils/chapterQuery');
+const { highlight, scoreFields, tokenize } = require('../utils/fuzzySearch');
+
+// Same weights as the text index on the Chapter model
+const FIELD_WEIGHTS = { chapter: 10, unit: 5, subject: 2 };
+
+// Most chapters scanned by the typo-tolerant fallback per search
+const FUZZY_CANDIDATE_LIMIT = 5000;
+
+const scoreChapter = (chapter, queryTokens) => scoreFields(
+  queryTokens,
+  Object.fromEntries(Object.entries(FIELD_WEIGHTS).map(([field, weight]) => [
+    field,
+    { text: chapter[field], weight },
+  ]))
+);
+
+// @desc    Full-text and typo-tolerant chapter search
+// @route   GET /api/v1/chapters/search?q=
+// @access  Public (signed-in callers get their own progress)
+const searchChapters = async (req, res, next) => {
+  try {
+    const { error, value: validatedQuery } = validateSearchQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        details: error.details.map(detail => detail.message),
+      });
+    }
+
+    const userId = req.user ? String(req.user._id) : undefined;
+    const cacheKey = await cacheService.generateCacheKey('/api/v1/chapters/search', {
+      ...validatedQuery,
+      user: userId,
+    });
+    const cachedData = await cacheService.get(cacheKey);
+    if (cachedData) {
+      return res.status(200).json(cachedData);
+    }
+
+    const { q, limit } = validatedQuery;
+    const queryTokens = tokenize(q);
+    const filter = buildChapterFilter(validatedQuery);
+
+    // Chapters matching `extra` as well as the filters, with the caller's progress
+    const matchStages = (extra) => {
+      const [first, ...rest] = buildMatchStages(filter, userId);
+      return [{ $match: { ...first.$match, ...extra } }, ...rest];
+    };
+
+    // Stemmed matches from the text index come first
+    const textMatches = await Chapter.aggregate([
+      ...matchStages({ $text: { $search: q } }),
+      { $addFields: { score: { $meta: 'textScore' } } },
+      { $sort: { score: -1 } },
+      { $limit: limit },
+    ]);
+
+    // Fall back to scanning names for typos when the index finds too little.
+    // Only the names of at most FUZZY_CANDIDATE_LIMIT chapters are read for
+    // scoring; the matches are then loaded with the caller's progress, which
+    // also applies any status or weakChapters filter to them.
+    let fuzzyMatches = [];
+    if (textMatches.length < limit) {
+      const textIds = textMatches.map(chapter => chapter._id);
+      const { chapterFilter } = userId ? splitProgressFilter(filter) : { chapterFilter: filter };
+      const candidates = await Chapter.find({ ...chapterFilter, _id: { $nin: textIds } })
+        .select(Object.keys(FIELD_WEIGHTS).join(' '))
+        .limit(FUZZY_CANDIDATE_LIMIT)
+        .lean();
+
+      const rankedIds = candidates
+        .map(chapter => ({ chapter, ...scoreChapter(chapter, queryTokens) }))
+        .filter(({ matchedTokens }) => matchedTokens > 0)
+        .sort((a, b) => b.matchedTokens - a.matchedTokens || b.score - a.score)
+        .map(({ chapter }) => chapter._id);
+
+      const matched = rankedIds.length > 0
+        ? await Chapter.aggregate(buildMatchStages({ ...filter, _id: { $in: rankedIds } }, userId))
+        : [];
+      const chaptersById = new Map(matched.map(chapter => [String(chapter._id), chapter]));
+      fuzzyMatches = rankedIds
+        .map(id => chaptersById.get(String(id)))
+        .filter(Boolean)
+        .slice(0, limit - textMatches.length);
+    }
+
+    const results = [
+      ...textMatches.map(chapter => ({ chapter, matchType: 'text' })),
+      ...fuzzyMatches.map(chapter => ({ chapter, matchType: 'fuzzy' })),
+    ].map(({ chapter, matchType }) => {
+      const { score: textScore, ...fields } = chapter;
+      const { score: fuzzyScore, matchedTokens } = scoreChapter(chapter, queryTokens);
+
+      return {
+        ...fields,
+        matchType,
+        relevance: Math.round(((textScore || 0) + fuzzyScore / queryTokens.length) * 100) / 100,
+        matchedTerms: matchedTokens,
+        highlights: {
+          chapter: highlight(chapter.chapter, queryTokens),
+          unit: highlight(chapter.unit, queryTokens),
+          subject: highlight(chapter.subject, queryTokens),
+        },
+      };
+    });
+
+    const responseData = {
+      success: true,
+      query: q,
+      count: results.length,
+      data: results,
+      cached: false,
+    };
+
+    await cacheService.set(cacheKey, responseData);
+    res.status(200).json(responseData);
+  } catch (error) {
+    console.error('Error in searchChapters:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  searchChapters,
+};
@@ -0,0 +1,328 @@
+const mongoose = require('mongoose');
+const Chapter = require('../models/Chapter');
+const StatusChange = require('../models/StatusChange');
+const cacheService = require('../services/cacheService');
+const { validateStatsQuery, validateTrendsQuery } = require('../utils/validation');
+const { buildChapterFilter, buildMatchStages, totalQuestionsExpression } = require('../utils/chapterQuery');
+const { analyzeSeries, collectYears, toSeries } = require('../utils/trendAnalysis');
+const { summarizeDurations } = require('../utils/statusTimeline');
+const { STATUSES } = require('../config/statusWorkflow');
+
+const countStatus = (status) => ({
+  $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] },
+});
+
+const percentage = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : 0);
+
+// One $group stage per request; groupFields is a subset of subject, class, unit.
+// With a user id the status, questionSolved and isWeakChapter counted are theirs.
+const buildStatsPipeline = (filter, groupFields, userId) => [
+  ...buildMatchStages(filter, userId),
+  { $addFields: { yearTotal: totalQuestionsExpression } },
+  {
+    $group: {
+      _id: Object.fromEntries(groupFields.map(field => [field, `$${field}`])),
+      totalChapters: { $sum: 1 },
+      notStarted: countStatus('Not Started'),
+      inProgress: countStatus('In Progress'),
+      completed: countStatus('Completed'),
+      weakChapters: { $sum: { $cond: ['$isWeakChapter', 1, 0] } },
+      questionSolved: { $sum: '$questionSolved' },
+      totalQuestions: { $sum: '$yearTotal' },
+    },
+  },
+  { $sort: Object.fromEntries(groupFields.map(field => [`_id.${field}`, 1])) },
+];
+
+const formatGroup = (group) => ({
+  ...group._id,
+  totalChapters: group.totalChapters,
+  statusCounts: {
+    'Not Started': group.notStarted,
+    'In Progress': group.inProgress,
+    Completed: group.completed,
+  },
+  weakChapters: group.weakChapters,
+  questionSolved: group.questionSolved,
+  totalQuestions: group.totalQuestions,
+  completionPercentage: percentage(group.completed, group.totalChapters),
+});
+
+const emptyDurations = () => Object.fromEntries(STATUSES.map(status => [status, 0]));
+
+// Milliseconds per group and status, summed in the database. Mirrors
+// timeInStatus (utils/statusTimeline): before the first change a chapter was in
+// that change's `from` status, starting at createdAt; after the last change it
+// has been in the `to` status until `now`. With a user id the timeline is the
+// user's own progress timeline.
+const buildTimeInStatusPipeline = (filter, groupFields, userId, now) => [
+  ...buildMatchStages(filter, userId),
+  {
+    $lookup: {
+      from: StatusChange.collection.name,
+      localField: '_id',
+      foreignField: 'chapter',
+      pipeline: [
+        { $match: { user: userId ? new mongoose.Types.ObjectId(userId) : null } },
+        { $sort: { changedAt: 1 } },
+        { $project: { _id: 0, from: 1, to: 1, changedAt: 1 } },
+      ],
+      as: 'changes',
+    },
+  },
+  {
+    $project: {
+      ...Object.fromEntries(groupFields.map(field => [field, 1])),
+      timeline: {
+        $reduce: {
+          input: '$changes',
+          initialValue: {
+            current: { $ifNull: [{ $first: '$changes.from' }, '$status'] },
+            since: '$createdAt',
+            segments: [],
+          },
+          in: {
+            current: '$$this.to',
+            since: '$$this.changedAt',
+            segments: {
+              $concatArrays: ['$$value.segments', [{
+                status: '$$value.current',
+                ms: { $max: [0, { $subtract: ['$$this.changedAt', '$$value.since'] }] },
+              }]],
+            },
+          },
+        },
+      },
+    },
+  },
+  {
+    $project: {
+      ...Object.fromEntries(groupFields.map(field => [field, 1])),
+      segments: {
+        $concatArrays: ['$timeline.segments', [{
+          status: '$timeline.current',
+          ms: { $max: [0, { $subtract: [now, '$timeline.since'] }] },
+        }]],
+      },
+    },
+  },
+  { $unwind: '$segments' },
+  {
+    $group: {
+      _id: {
+        ...Object.fromEntries(groupFields.map(field => [field, `$${field}`])),
+        status: '$segments.status',
+      },
+      ms: { $sum: '$segments.ms' },
+    },
+  },
+];
+
+// Sum each chapter's status timeline into its group. Returns the overall
+// durations; every group gets a timeInStatus summary.
+const addTimeInStatus = async (filter, groupFields, groups, userId) => {
+  const rows = await Chapter.aggregate(buildTimeInStatusPipeline(filter, groupFields, userId, new Date()))
+    .allowDiskUse(true);
+
+  const groupKey = source => JSON.stringify(groupFields.map(field => source[field] ?? null));
+  const byGroup = new Map();
+  const overall = emptyDurations();
+
+  rows.forEach(({ _id, ms }) => {
+    if (!STATUSES.includes(_id.status)) return;
+    const key = groupKey(_id);
+    if (!byGroup.has(key)) byGroup.set(key, emptyDurations());
+    byGroup.get(key)[_id.status] += ms;
+    overall[_id.status] += ms;
+  });
+
+  groups.forEach((group) => {
+    group.timeInStatus = summarizeDurations(byGroup.get(groupKey(group)) || emptyDurations(), group.totalChapters);
+  });
+  return overall;
+};
+
+// @desc    Aggregated chapter progress grouped by subject, class and/or unit
+// @route   GET /api/v1/chapters/stats?groupBy=subject,class&includeTimeInStatus=true
+// @access  Public (signed-in callers get their own progress)
+const getChapterStats = async (req, res, next) => {
+  try {
+    const { error, value: validatedQuery } = validateStatsQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        details: error.details.map(detail => detail.message),
+      });
+    }
+
+    const userId = req.user ? String(req.user._id) : undefined;
+    const cacheKey = await cacheService.generateCacheKey('/api/v1/chapters/stats', {
+      ...validatedQuery,
+      user: userId,
+    });
+    const cachedData = await cacheService.get(cacheKey);
+    if (cachedData) {
+      return res.status(200).json(cachedData);
+    }
+
+    const groupFields = [...new Set(validatedQuery.groupBy.split(','))];
+    const filter = buildChapterFilter(validatedQuery);
+
+    const groups = (await Chapter.aggregate(buildStatsPipeline(filter, groupFields, userId)))
+      .map(formatGroup);
+
+    const totals = groups.reduce((sum, group) => ({
+      totalChapters: sum.totalChapters + group.totalChapters,
+      completed: sum.completed + group.statusCounts.Completed,
+      weakChapters: sum.weakChapters + group.weakChapters,
+      questionSolved: sum.questionSolved + group.questionSolved,
+      totalQuestions: sum.totalQuestions + group.totalQuestions,
+    }), { totalChapters: 0, completed: 0, weakChapters: 0, questionSolved: 0, totalQuestions: 0 });
+
+    const overallDurations = validatedQuery.includeTimeInStatus
+      ? await addTimeInStatus(filter, groupFields, groups, userId)
+      : null;
+
+    const responseData = {
+      success: true,
+      groupBy: groupFields,
+      count: groups.length,
+      totals: {
+        ...totals,
+        completionPercentage: percentage(totals.completed, totals.totalChapters),
+        ...(overallDurations ? { timeInStatus: summarizeDurations(overallDurations, totals.totalChapters) } : {}),
+      },
+      data: groups,
+      cached: false,
+    };
+
+    await cacheService.set(cacheKey, responseData);
+    res.status(200).json(responseData);
+  } catch (error) {
+    console.error('Error in getChapterStats:', error);
+    next(error);
+  }
+};
+
+const TREND_SORTS = {
+  recentFrequency: (a, b) => b.recentFrequency - a.recentFrequency || b.slope - a.slope,
+  slope: (a, b) => b.slope - a.slope || b.recentFrequency - a.recentFrequency,
+  volatility: (a, b) => b.volatility - a.volatility,
+  projection: (a, b) => (b.projection ? b.projection.count : 0) - (a.projection ? a.projection.count : 0),
+};
+
+// Sum the year counts of every chapter in the same subject, class and unit
+const groupByUnit = (chapters) => {
+  const units = new Map();
+  chapters.forEach((chapter) => {
+    const key = JSON.stringify([chapter.subject, chapter.class, chapter.unit]);
+    if (!units.has(key)) {
+      units.set(key, {
+        subject: chapter.subject,
+        class: chapter.class,
+        unit: chapter.unit,
+        chapterCount: 0,
+        yearWiseQuestionCount: {},
+      });
+    }
+
+    const unit = units.get(key);
+    unit.chapterCount += 1;
+    Object.entries(chapter.yearWiseQuestionCount || {}).forEach(([year, count]) => {
+      unit.yearWiseQuestionCount[year] = (unit.yearWiseQuestionCount[year] || 0) + (count || 0);
+    });
+  });
+  return [...units.values()];
+};
+
+// @desc    Rank chapters or units by recent exam frequency, trend slope and volatility
+// @route   GET /api/v1/chapters/trends?level=chapter|unit
+// @access  Public (signed-in callers get their own status and weak flags)
+const getChapterTrends = async (req, res, next) => {
+  try {
+    const { error, value: validatedQuery } = validateTrendsQuery(req.query);
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        details: error.details.map(detail => detail.message),
+      });
+    }
+
+    const userId = req.user ? String(req.user._id) : undefined;
+    const cacheKey = await cacheService.generateCacheKey('/api/v1/chapters/trends', {
+      ...validatedQuery,
+      user: userId,
+    });
+    const cachedData = await cacheService.get(cacheKey);
+    if (cachedData) {
+      return res.status(200).json(cachedData);
+    }
+
+    const { level, recentYears, threshold, sortBy, trend, limit } = validatedQuery;
+
+    const chapters = await Chapter.aggregate([
+      ...buildMatchStages(buildChapterFilter(validatedQuery), userId),
+      { $project: { subject: 1, chapter: 1, class: 1, unit: 1, yearWiseQuestionCount: 1, status: 1, isWeakChapter: 1 } },
+    ]);
+
+    const items = level === 'unit'
+      ? groupByUnit(chapters)
+      : chapters.map(chapter => ({
+        id: chapter._id,
+        subject: chapter.subject,
+        chapter: chapter.chapter,
+        class: chapter.class,
+        unit: chapter.unit,
+        status: chapter.status,
+        isWeakChapter: chapter.isWeakChapter,
+        yearWiseQuestionCount: chapter.yearWiseQuestionCount,
+      }));
+
+    const years = collectYears(items.map(item => item.yearWiseQuestionCount));
+
+    const analyzed = items.map(({ yearWiseQuestionCount, ...item }) => {
+      const series = toSeries(yearWiseQuestionCount, years);
+      return {
+        ...item,
+        series,
+        ...analyzeSeries(series, { recentYears, threshold }),
+      };
+    });
+
+    const summary = analyzed.reduce((counts, item) => {
+      counts[item.trend] += 1;
+      return counts;
+    }, { rising: 0, declining: 0, stable: 0 });
+
+    const ranked = analyzed
+      .filter(item => !trend || item.trend === trend)
+      .sort(TREND_SORTS[sortBy]);
+
+    const responseData = {
+      success: true,
+      level,
+      years,
+      recentYears: years.slice(-recentYears),
+      summary,
+      count: Math.min(ranked.length, limit),
+      total: ranked.length,
+      data: ranked.slice(0, limit),
+      cached: false,
+    };
+
+    await cacheService.set(cacheKey, responseData);
+    res.status(200).json(responseData);
+  } catch (error) {
+    console.error('Error in getChapterTrends:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  getChapterStats,
+  getChapterTrends,
+};
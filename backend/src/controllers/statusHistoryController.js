@@ -0,0 +1,79 @@
+const Chapter = require('../models/Chapter');
+const ChapterProgress = require('../models/ChapterProgress');
+const StatusChange = require('../models/StatusChange');
+const { notDeleted } = require('../utils/chapterQuery');
+const { durationsInDays, timeInStatus } = require('../utils/statusTimeline');
+
+const formatChange = change => ({
+  from: change.from,
+  to: change.to,
+  reason: change.reason || null,
+  source: change.source,
+  changedBy: change.changedBy || null,
+  changedAt: change.changedAt,
+});
+
+const loadTimeline = (chapterId, userId = null) => StatusChange.find({ chapter: chapterId, user: userId })
+  .sort({ changedAt: 1 })
+  .populate('changedBy', 'email')
+  .lean();
+
+// @desc    Status changes of a chapter with the days spent in each status
+// @route   GET /api/v1/chapters/:id/status-history
+// @access  Private (chapters:write)
+const getChapterStatusHistory = async (req, res, next) => {
+  try {
+    const chapter = await Chapter.findById(req.params.id).select('status createdAt').lean();
+    if (!chapter) {
+      return res.status(404).json({ success: false, error: 'Chapter not found' });
+    }
+
+    const changes = await loadTimeline(chapter._id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        chapter: chapter._id,
+        status: chapter.status,
+        timeInStatus: durationsInDays(timeInStatus(chapter, changes)),
+        changes: changes.map(formatChange),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    My status changes on one chapter
+// @route   GET /api/v1/progress/:chapterId/history
+// @access  Private
+const getMyStatusHistory = async (req, res, next) => {
+  try {
+    const chapter = await Chapter.exists({ _id: req.params.chapterId, ...notDeleted });
+    if (!chapter) {
+      return res.status(404).json({ success: false, error: 'Chapter not found' });
+    }
+
+    const [progress, changes] = await Promise.all([
+      ChapterProgress.findOne({ user: req.user._id, chapter: chapter._id }).select('status createdAt').lean(),
+      loadTimeline(chapter._id, req.user._id),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        chapter: chapter._id,
+        status: progress ? progress.status : ChapterProgress.DEFAULT_PROGRESS.status,
+        timeInStatus: progress ? durationsInDays(timeInStatus(progress, changes)) : null,
+        changes: changes.map(formatChange),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getChapterStatusHistory,
+  getMyStatusHistory,
+};
@@ -0,0 +1,162 @@
+const StudyPlan = require('../models/StudyPlan');
+const Chapter = require('../models/Chapter');
+const ChapterProgress = require('../models/ChapterProgress');
+const { validateStudyPlan } = require('../utils/validation');
+const { generatePlan } = require('../services/studyPlanService');
+const { toDay } = require('../utils/studyPlanner');
+
+const formatPlan = (plan, stale = false) => ({
+  id: plan._id,
+  examDate: toDay(plan.examDate),
+  startDate: toDay(plan.startDate),
+  hoursPerDay: plan.hoursPerDay,
+  subjects: plan.subjects,
+  minutesPerQuestion: plan.minutesPerQuestion,
+  includeCompleted: plan.includeCompleted,
+  version: plan.version,
+  generatedAt: plan.generatedAt,
+  stale,
+  summary: plan.summary,
+  days: plan.days,
+  unscheduled: plan.unscheduled,
+});
+
+// @desc    Generate and save my study plan (replaces any previous plan)
+// @route   POST /api/v1/study-plan
+// @access  Private (progress:write)
+const createStudyPlan = async (req, res, next) => {
+  try {
+    const { error, value } = validateStudyPlan(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid study plan request',
+        details: error.details.map(detail => detail.message),
+      });
+    }
+
+    const generated = await generatePlan(req.user._id, value);
+    if (generated.summary.chapters === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'No chapters left to study in the given subjects',
+      });
+    }
+
+    const plan = await StudyPlan.findOneAndUpdate(
+      { user: req.user._id },
+      {
+        $set: {
+          examDate: value.examDate,
+          hoursPerDay: value.hoursPerDay,
+          subjects: value.subjects,
+          minutesPerQuestion: value.minutesPerQuestion,
+          includeCompleted: value.includeCompleted,
+          ...generated,
+          version: 1,
+        },
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json({
+      success: true,
+      data: formatPlan(plan),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Chapters the plan scheduled or left unscheduled
+const planChapterIds = plan => [
+  ...plan.days.flatMap(day => day.sessions.map(session => session.chapter)),
+  ...plan.unscheduled.map(entry => entry.chapter),
+];
+
+// Anything the plan was built from changed after it was generated: my progress
+// (practice sessions included), or a chapter of its subjects or in the plan.
+// Catalogue edits, new or deleted chapters and taxonomy renames touch a
+// chapter's updatedAt; weak-rule recomputes only stamp weakEvaluatedAt. Planned
+// chapters are matched by id too, since a subject rename moves them out of
+// plan.subjects.
+const isStale = async (plan) => Boolean(
+  await ChapterProgress.exists({ user: plan.user, updatedAt: { $gt: plan.generatedAt } })
+  || await Chapter.exists({
+    $and: [
+      { $or: [{ subject: { $in: plan.subjects } }, { _id: { $in: planChapterIds(plan) } }] },
+      { $or: [{ updatedAt: { $gt: plan.generatedAt } }, { weakEvaluatedAt: { $gt: plan.generatedAt } }] },
+    ],
+  })
+);
+
+// @desc    Get my saved study plan; `stale` is true once its inputs changed after it was generated
+// @route   GET /api/v1/study-plan
+// @access  Private
+const getStudyPlan = async (req, res, next) => {
+  try {
+    const plan = await StudyPlan.findOne({ user: req.user._id });
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        error: 'No study plan yet',
+      });
+    }
+
+    const stale = await isStale(plan);
+
+    res.status(200).json({
+      success: true,
+      data: formatPlan(plan, stale),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Regenerate my saved plan from today with my current progress
+// @route   POST /api/v1/study-plan/replan
+// @access  Private (progress:write)
+const replanStudyPlan = async (req, res, next) => {
+  try {
+    const plan = await StudyPlan.findOne({ user: req.user._id });
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        error: 'No study plan yet',
+      });
+    }
+
+    if (toDay(plan.examDate) <= toDay(new Date())) {
+      return res.status(400).json({
+        success: false,
+        error: 'The exam date of this plan has passed; create a new plan',
+      });
+    }
+
+    const generated = await generatePlan(req.user._id, {
+      examDate: plan.examDate,
+      hoursPerDay: plan.hoursPerDay,
+      subjects: plan.subjects,
+      minutesPerQuestion: plan.minutesPerQuestion,
+      includeCompleted: plan.includeCompleted,
+    });
+
+    plan.set(generated);
+    plan.version += 1;
+    await plan.save();
+
+    res.status(200).json({
+      success: true,
+      data: formatPlan(plan),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createStudyPlan,
+  getStudyPlan,
+  replanStudyPlan,
+};
@@ -0,0 +1,203 @@
+const TaxonomyNode = require('../models/TaxonomyNode');
+const cacheService = require('../services/cacheService');
+const { auditContext, recordAudit } = require('../services/auditService');
+const {
+  createNode,
+  deleteNode,
+  getTaxonomyTree,
+  updateNode,
+} = require('../services/taxonomyService');
+const {
+  validateTaxonomyNode,
+  validateTaxonomyNodeUpdate,
+  validateTaxonomyQuery,
+} = require('../utils/validation');
+
+// URL segment -> taxonomy level
+const LEVEL_PATHS = { subjects: 'subject', classes: 'class', units: 'unit' };
+
+const formatNode = node => ({
+  id: node._id,
+  level: node.level,
+  name: node.name,
+  parent: node.parent,
+  order: node.order,
+  createdAt: node.createdAt,
+  updatedAt: node.updatedAt,
+});
+
+const levelNotFound = res => res.status(404).json({
+  success: false,
+  error: 'Unknown taxonomy level, use subjects, classes or units',
+});
+
+const nodeNotFound = (res, level) => res.status(404).json({
+  success: false,
+  error: `${level} not found`,
+});
+
+const auditNode = (req, action, node, changes, metadata) => recordAudit(auditContext(req), {
+  action,
+  targetType: 'taxonomy',
+  targetIds: [node._id],
+  ...(changes ? { changes: [{ target: node._id, ...changes }] } : {}),
+  metadata: { level: node.level, name: node.name, ...metadata },
+});
+
+// @desc    Subjects -> classes -> units in display order, for filter menus
+// @route   GET /api/v1/taxonomy
+// @access  Public
+const getTaxonomy = async (req, res, next) => {
+  try {
+    const cacheKey = await cacheService.generateCacheKey('/api/v1/taxonomy', {});
+    const cachedData = await cacheService.get(cacheKey);
+    if (cachedData) {
+      return res.status(200).json(cachedData);
+    }
+
+    const subjects = await getTaxonomyTree();
+    const responseData = {
+      success: true,
+      count: subjects.length,
+      data: subjects,
+      cached: false,
+    };
+
+    await cacheService.set(cacheKey, responseData);
+    res.status(200).json(responseData);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Entries of one level, optionally under one parent
+// @route   GET /api/v1/taxonomy/:level?parent=
+// @access  Public
+const getTaxonomyNodes = async (req, res, next) => {
+  try {
+    const level = LEVEL_PATHS[req.params.level];
+    if (!level) return levelNotFound(res);
+
+    const { error, value } = validateTaxonomyQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        details: error.details.map(detail => detail.message),
+      });
+    }
+
+    const filter = { level };
+    if (value.parent) filter.parent = value.parent;
+
+    const nodes = await TaxonomyNode.find(filter).sort({ order: 1, name: 1 }).lean();
+
+    res.status(200).json({
+      success: true,
+      count: nodes.length,
+      data: nodes.map(formatNode),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add a subject, class (parent: subject) or unit (parent: class)
+// @route   POST /api/v1/taxonomy/:level
+// @access  Private (chapters:write)
+const createTaxonomyNode = async (req, res, next) => {
+  try {
+    const level = LEVEL_PATHS[req.params.level];
+    if (!level) return levelNotFound(res);
+
+    const { error, value } = validateTaxonomyNode(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid taxonomy entry',
+        details: error.details.map(detail => detail.message),
+      });
+    }
+
+    const node = await createNode(level, value);
+    await auditNode(req, 'taxonomy.create', node);
+
+    res.status(201).json({
+      success: true,
+      data: formatNode(node),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rename or reorder an entry; a rename is applied to its chapters
+// @route   PATCH /api/v1/taxonomy/:level/:id
+// @access  Private (chapters:write)
+const updateTaxonomyNode = async (req, res, next) => {
+  try {
+    const level = LEVEL_PATHS[req.params.level];
+    if (!level) return levelNotFound(res);
+
+    const { error, value } = validateTaxonomyNodeUpdate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid taxonomy entry',
+        details: error.details.map(detail => detail.message),
+      });
+    }
+
+    const before = await TaxonomyNode.findOne({ _id: req.params.id, level }).lean();
+    if (!before) return nodeNotFound(res, level);
+
+    const { node, renamedChapters } = await updateNode(before, value, req.user._id);
+
+    const changed = ['name', 'order'].filter(field => before[field] !== node[field]);
+    if (changed.length > 0) {
+      await auditNode(req, 'taxonomy.update', node, {
+        before: Object.fromEntries(changed.map(field => [field, before[field]])),
+        after: Object.fromEntries(changed.map(field => [field, node[field]])),
+      }, { renamedChapters });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatNode(node),
+      renamedChapters,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete an entry that has no children and no chapters
+// @route   DELETE /api/v1/taxonomy/:level/:id
+// @access  Private (chapters:delete)
+const deleteTaxonomyNode = async (req, res, next) => {
+  try {
+    const level = LEVEL_PATHS[req.params.level];
+    if (!level) return levelNotFound(res);
+
+    const node = await TaxonomyNode.findOne({ _id: req.params.id, level }).lean();
+    if (!node) return nodeNotFound(res, level);
+
+    await deleteNode(node);
+    await auditNode(req, 'taxonomy.delete', node);
+
+    res.status(200).json({
+      success: true,
+      message: `${level} "${node.name}" deleted`,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createTaxonomyNode,
+  deleteTaxonomyNode,
+  getTaxonomy,
+  getTaxonomyNodes,
+  updateTaxonomyNode,
+};
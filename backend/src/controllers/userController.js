@@ -0,0 +1,106 @@
+const User = require('../models/User');
+const { getRolePermissions } = require('../config/permissions');
+const { validateUserQuery, validateRoleUpdate } = require('../utils/validation');
+
+const formatUser = user => ({
+  id: user._id,
+  email: user.email,
+  role: user.role,
+  permissions: getRolePermissions(user.role),
+  createdAt: user.createdAt,
+});
+
+// @desc    List users
+// @route   GET /api/v1/users
+// @access  Private (users:manage)
+const getUsers = async (req, res, next) => {
+  try {
+    const { error, value } = validateUserQuery(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        details: error.details.map(detail => detail.message),
+      });
+    }
+
+    const { role, email, page, limit } = value;
+    const filter = {};
+    if (role) filter.role = role;
+    if (email) filter.email = email;
+
+    const [users, totalUsers] = await Promise.all([
+      User.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(totalUsers / limit);
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      totalUsers,
+      totalPages,
+      currentPage: page,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      data: users.map(formatUser),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change a user's role
+// @route   PATCH /api/v1/users/:id/role
+// @access  Private (users:manage)
+const updateUserRole = async (req, res, next) => {
+  try {
+    const { error, value } = validateRoleUpdate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid role',
+        details: error.details.map(detail => detail.message),
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+      });
+    }
+
+    // Never leave the system without an admin
+    if (user.role === 'admin' && value.role !== 'admin') {
+      const adminCount = await User.countDocuments({ role: 'admin' });
+      if (adminCount <= 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'Cannot change the role of the last admin',
+        });
+      }
+    }
+
+    user.role = value.role;
+    await user.save();
+
+    res.status(200).json({
+      success: true,
+      data: formatUser(user),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getUsers,
+  updateUserRole,
+};
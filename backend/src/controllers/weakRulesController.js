@@ -0,0 +1,103 @@
+const { validateWeakRules } = require('../utils/validation');
+const { auditContext, recordAudit } = require('../services/auditService');
+const { getRules, startRecompute, updateRules } = require('../services/weakChapterService');
+
+const formatRules = rules => ({
+  enabled: rules.enabled,
+  lowSolvedRatio: rules.lowSolvedRatio,
+  highRecentFrequency: rules.highRecentFrequency,
+  noRecentProgress: rules.noRecentProgress,
+  updatedBy: rules.updatedBy,
+  updatedAt: rules.updatedAt,
+  lastRun: rules.lastRun,
+});
+
+// @desc    Current weak-chapter rules and the last recompute run
+// @route   GET /api/v1/weak-rules
+// @access  Private (rules:manage)
+const getWeakRules = async (req, res, next) => {
+  try {
+    const rules = await getRules();
+
+    res.status(200).json({
+      success: true,
+      data: formatRules(rules),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace the weak-chapter rules and recompute every chapter's flag
+// @route   PUT /api/v1/weak-rules
+// @access  Private (rules:manage)
+const updateWeakRules = async (req, res, next) => {
+  try {
+    const { error, value } = validateWeakRules(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid weak chapter rules',
+        details: error.details.map(detail => detail.message),
+      });
+    }
+
+    const previous = formatRules(await getRules());
+    const rules = await updateRules(value, req.user._id);
+
+    await recordAudit(auditContext(req), {
+      action: 'weak-rules.update',
+      changes: [{
+        before: {
+          enabled: previous.enabled,
+          lowSolvedRatio: previous.lowSolvedRatio,
+          highRecentFrequency: previous.highRecentFrequency,
+          noRecentProgress: previous.noRecentProgress,
+        },
+        after: value,
+      }],
+    });
+
+    // A run already in progress keeps the old rules; the caller can recompute again
+    let recompute = null;
+    if (rules.enabled) {
+      try {
+        recompute = await startRecompute({ userId: req.user._id });
+      } catch (recomputeError) {
+        if (recomputeError.statusCode !== 409) throw recomputeError;
+        recompute = { status: 'running', error: recomputeError.message };
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: formatRules(rules),
+      recompute,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Recompute isWeakChapter and weakReasons for every chapter in the background
+// @route   POST /api/v1/weak-rules/recompute
+// @access  Private (rules:manage)
+const recomputeWeakChapters = async (req, res, next) => {
+  try {
+    const lastRun = await startRecompute({ userId: req.user._id });
+
+    res.status(202).json({
+      success: true,
+      message: 'Weak chapter recompute started',
+      data: lastRun,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getWeakRules,
+  updateWeakRules,
+  recomputeWeakChapters,
+};
@@ -1,38 +1,99 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { isAccessTokenRevoked } = require('../services/tokenService');
+const { getRolePermissions } = require('../config/permissions');
 
-// Protect routes - authentication required
-const protect = async (req, res, next) => {
-  let token;
-
+const getBearerToken = (req) => {
   if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    token = req.headers.authorization.split(' ')[1];
+    return req.headers.authorization.split(' ')[1];
   }
+  return null;
+};
+
+// Verify a bearer token and load its user. Resolves to { user, payload, permissions },
+// or null if the token is invalid, expired or revoked (logout, password change,
+// refresh token reuse)
+const authenticateToken = async (token) => {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    if (await isAccessTokenRevoked(payload)) {
+      return null;
+    }
+
+    const user = await User.findById(payload.id);
+    return user ? { user, payload, permissions: getRolePermissions(user.role) } : null;
+  } catch (error) {
+    return null;
+  }
+};
 
-  if (!token) {
-    return res.status(401).json({
-      success: false,
-      error: 'Not authorized to access this route',
-    });
+// Look up an X-API-Key and its owner. The key only grants the permissions it
+// was scoped to that its owner's role still has.
+const authenticateApiKey = async (key) => {
+  const apiKey = await ApiKey.findOne({ keyHash: ApiKey.hashKey(key) }).populate('createdBy');
+  if (!apiKey || !apiKey.isActive || !apiKey.createdBy) {
+    return null;
   }
 
+  await ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date() } });
+
+  const ownerPermissions = getRolePermissions(apiKey.createdBy.role);
+  return {
+    user: apiKey.createdBy,
+    apiKey,
+    permissions: apiKey.permissions.filter(permission => ownerPermissions.includes(permission)),
+  };
+};
+
+// An X-API-Key header takes precedence over a bearer token
+const authenticateRequest = async (req) => {
+  const key = req.headers['x-api-key'];
+  if (key) {
+    return authenticateApiKey(key);
+  }
+
+  const token = getBearerToken(req);
+  return token ? authenticateToken(token) : null;
+};
+
+const setAuth = (req, auth) => {
+  req.user = auth.user;
+  req.auth = auth.payload;
+  req.apiKey = auth.apiKey;
+  req.permissions = auth.permissions;
+};
+
+// Protect routes - authentication required
+const protect = async (req, res, next) => {
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = await User.findById(decoded.id);
-    
-    if (!req.user) {
+    const auth = await authenticateRequest(req);
+
+    if (!auth) {
       return res.status(401).json({
         success: false,
         error: 'Not authorized to access this route',
       });
     }
 
+    setAuth(req, auth);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Attach req.user when a valid token or API key is sent, otherwise continue anonymously
+const optionalAuth = async (req, res, next) => {
+  try {
+    const auth = await authenticateRequest(req);
+    if (auth) {
+      setAuth(req, auth);
+    }
+
     next();
   } catch (error) {
-    return res.status(401).json({
-      success: false,
-      error: 'Not authorized to access this route',
-    });
+    next(error);
   }
 };
 
@@ -49,7 +110,28 @@ const authorize = (...roles) => {
   };
 };
 
+// Require every listed permission (see config/permissions.js)
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const granted = req.permissions || getRolePermissions(req.user.role);
+    const missing = permissions.filter(permission => !granted.includes(permission));
+    if (missing.length > 0) {
+      const subject = req.apiKey ? `API key ${req.apiKey.prefix}` : `User role ${req.user.role}`;
+      return res.status(403).json({
+        success: false,
+        error: `${subject} is missing permission ${missing.join(', ')}`,
+      });
+    }
+    next();
+  };
+};
+
 module.exports = {
+  getBearerToken,
+  authenticateToken,
+  authenticateApiKey,
   protect,
+  optionalAuth,
   authorize,
-};
\ No newline at end of file
+  requirePermission,
+};
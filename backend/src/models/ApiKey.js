@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { API_KEY_PERMISSIONS } = require('../config/permissions');
+
+const KEY_PREFIX = 'ck_';
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+  },
+  // First characters of the key, shown in listings so a key can be recognised
+  prefix: {
+    type: String,
+    required: true,
+  },
+  // sha256 of the key; the key itself is only returned once, on creation
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  permissions: {
+    type: [{ type: String, enum: API_KEY_PERMISSIONS }],
+    default: [],
+  },
+  // Requests made with the key act on behalf of this user
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  lastUsedAt: Date,
+  expiresAt: Date,
+  revokedAt: Date,
+}, {
+  timestamps: true,
+});
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+// New random key: { key, prefix, keyHash }
+const generateKey = () => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  return {
+    key,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashKey(key),
+  };
+};
+
+apiKeySchema.virtual('isActive').get(function() {
+  if (this.revokedAt) return false;
+  return !this.expiresAt || this.expiresAt > new Date();
+});
+
+apiKeySchema.statics.hashKey = hashKey;
+apiKeySchema.statics.generateKey = generateKey;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'chapters.upload',
+  'chapter.update',
+  'chapter.delete',
+  'chapter.restore',
+  'chapter.rollback',
+  'weak-rules.update',
+  'taxonomy.create',
+  'taxonomy.update',
+  'taxonomy.delete',
+  'auth.login',
+  'auth.login_failed',
+];
+
+// Changed fields only: { before: { status: 'Not Started' }, after: { status: 'Completed' } }
+const auditChangeSchema = new mongoose.Schema({
+  target: mongoose.Schema.Types.ObjectId,
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: AUDIT_ACTIONS,
+    required: true,
+  },
+  actor: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    email: String,
+    role: String,
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey',
+    },
+    apiKeyPrefix: String,
+  },
+  targetType: {
+    type: String,
+    enum: ['chapter', 'user', 'taxonomy'],
+  },
+  targetIds: [mongoose.Schema.Types.ObjectId],
+  changes: [auditChangeSchema],
+  metadata: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String,
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.user': 1, createdAt: -1 });
+auditLogSchema.index({ targetIds: 1, createdAt: -1 });
+
+auditLogSchema.statics.AUDIT_ACTIONS = AUDIT_ACTIONS;
+auditLogSchema.statics.MAX_STORED_CHANGES = 1000;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -1,14 +1,18 @@
 const mongoose = require('mongoose');
+const { MIN_EXAM_YEAR, MAX_EXAM_YEAR, isValidExamYear } = require('../config/examYears');
 
-const yearWiseQuestionCountSchema = new mongoose.Schema({
-  2019: { type: Number, default: 0 },
-  2020: { type: Number, default: 0 },
-  2021: { type: Number, default: 0 },
-  2022: { type: Number, default: 0 },
-  2023: { type: Number, default: 0 },
-  2024: { type: Number, default: 0 },
-  2025: { type: Number, default: 0 },
-}, { _id: false });
+// Exam year (four digits, within the configured range) -> question count
+const yearWiseQuestionCountSchema = {
+  type: Map,
+  of: {
+    type: Number,
+    min: [0, 'Question count cannot be negative'],
+  },
+  validate: {
+    validator: (counts) => [...counts.keys()].every(isValidExamYear),
+    message: `Year-wise question counts must use four-digit years between ${MIN_EXAM_YEAR} and ${MAX_EXAM_YEAR}`,
+  },
+};
 
 const chapterSchema = new mongoose.Schema({
   subject: {
@@ -32,9 +36,15 @@ const chapterSchema = new mongoose.Schema({
     trim: true,
   },
   yearWiseQuestionCount: {
-    type: yearWiseQuestionCountSchema,
+    ...yearWiseQuestionCountSchema,
     required: true,
   },
+  // Sum of yearWiseQuestionCount, stored so it can be indexed and sorted on
+  totalQuestions: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
   questionSolved: {
     type: Number,
     required: true,
@@ -52,22 +62,78 @@ const chapterSchema = new mongoose.Schema({
     required: true,
     default: false,
   },
+  // Set by an editor to pin isWeakChapter whatever the rules say; null leaves
+  // the flag to the weak-chapter rules
+  isWeakChapterOverride: {
+    type: Boolean,
+    default: null,
+  },
+  // Why the weak-chapter rules flagged this chapter (see WeakChapterRules)
+  weakReasons: {
+    type: [{
+      _id: false,
+      rule: String,
+      message: String,
+    }],
+    default: undefined,
+  },
+  // When the rules last changed isWeakChapter or weakReasons (not an edit, so
+  // updatedAt stays)
+  weakEvaluatedAt: Date,
+  isDeleted: {
+    type: Boolean,
+    default: false,
+  },
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
   toObject: { virtuals: true },
 });
 
+// Natural key - one chapter per subject and class
+chapterSchema.index({ subject: 1, class: 1, chapter: 1 }, { unique: true });
+
+// Full-text search over chapter, unit and subject names
+chapterSchema.index(
+  { chapter: 'text', unit: 'text', subject: 'text' },
+  { name: 'chapter_text_search', weights: { chapter: 10, unit: 5, subject: 2 } }
+);
+
 // Indexes for better query performance
-chapterSchema.index({ subject: 1, class: 1 });
 chapterSchema.index({ status: 1 });
 chapterSchema.index({ isWeakChapter: 1 });
 chapterSchema.index({ unit: 1 });
+chapterSchema.index({ isDeleted: 1 });
+
+// Cursor pagination seeks on the sort key plus _id
+chapterSchema.index({ createdAt: -1, _id: -1 });
+chapterSchema.index({ totalQuestions: -1, _id: -1 });
 
-// Virtual for total questions across all years
-chapterSchema.virtual('totalQuestions').get(function() {
-  const years = Object.values(this.yearWiseQuestionCount.toObject());
-  return years.reduce((total, count) => total + count, 0);
+// Total of a yearWiseQuestionCount Map or plain object
+chapterSchema.statics.countQuestions = (counts) => {
+  const values = counts instanceof Map ? [...counts.values()] : Object.values(counts || {});
+  return values.reduce((total, count) => total + (count || 0), 0);
+};
+
+// Documents (create, insertMany) keep totalQuestions in step with their counts;
+// updates that change yearWiseQuestionCount set it themselves
+chapterSchema.pre('validate', function() {
+  this.totalQuestions = this.constructor.countQuestions(this.yearWiseQuestionCount);
 });
 
+// Every exam year used by the chapters matching `filter`, ascending
+chapterSchema.statics.examYears = async function(filter = {}) {
+  const years = await this.aggregate([
+    { $match: filter },
+    { $project: { years: { $objectToArray: { $ifNull: ['$yearWiseQuestionCount', {}] } } } },
+    { $unwind: '$years' },
+    { $group: { _id: '$years.k' } },
+  ]);
+  return years.map(({ _id }) => _id).sort();
+};
+
 module.exports = mongoose.model('Chapter', chapterSchema);
\ No newline at end of file
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Defaults shown for chapters the user has not touched yet. A null
+// isWeakChapter means the user has not flagged the chapter themselves, so the
+// chapter's rule-derived flag (and its weakReasons) applies.
+const DEFAULT_PROGRESS = {
+  questionSolved: 0,
+  status: 'Not Started',
+  isWeakChapter: null,
+};
+
+const chapterProgressSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  chapter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    required: true,
+  },
+  questionSolved: {
+    type: Number,
+    min: [0, 'Questions solved cannot be negative'],
+    default: DEFAULT_PROGRESS.questionSolved,
+  },
+  status: {
+    type: String,
+    enum: ['Not Started', 'In Progress', 'Completed'],
+    default: DEFAULT_PROGRESS.status,
+  },
+  isWeakChapter: {
+    type: Boolean,
+    default: DEFAULT_PROGRESS.isWeakChapter,
+  },
+}, {
+  timestamps: true,
+});
+
+// One progress record per user and chapter
+chapterProgressSchema.index({ user: 1, chapter: 1 }, { unique: true });
+chapterProgressSchema.index({ chapter: 1 });
+
+chapterProgressSchema.statics.DEFAULT_PROGRESS = DEFAULT_PROGRESS;
+chapterProgressSchema.statics.PROGRESS_FIELDS = Object.keys(DEFAULT_PROGRESS);
+
+module.exports = mongoose.model('ChapterProgress', chapterProgressSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const REVISION_ACTIONS = ['baseline', 'create', 'import', 'update', 'delete', 'restore', 'rollback', 'rules', 'taxonomy'];
+
+// Fields copied into every revision snapshot
+const SNAPSHOT_FIELDS = [
+  'subject',
+  'chapter',
+  'class',
+  'unit',
+  'yearWiseQuestionCount',
+  'questionSolved',
+  'status',
+  'isWeakChapter',
+  'isWeakChapterOverride',
+  'isDeleted',
+];
+
+// Full state of a chapter after a change; revision numbers start at 1 per chapter
+const chapterRevisionSchema = new mongoose.Schema({
+  chapter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    required: true,
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  action: {
+    type: String,
+    enum: REVISION_ACTIONS,
+    required: true,
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  // Set on rollbacks: the revision whose snapshot was restored
+  restoredFrom: Number,
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  minimize: false,
+});
+
+chapterRevisionSchema.index({ chapter: 1, revision: -1 }, { unique: true });
+
+chapterRevisionSchema.statics.REVISION_ACTIONS = REVISION_ACTIONS;
+chapterRevisionSchema.statics.SNAPSHOT_FIELDS = SNAPSHOT_FIELDS;
+
+module.exports = mongoose.model('ChapterRevision', chapterRevisionSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const importFailureSchema = new mongoose.Schema({
+  index: Number,
+  line: Number,
+  chapter: {
+    subject: String,
+    chapter: String,
+    class: String,
+  },
+  errors: [String],
+}, { _id: false, suppressReservedKeysWarning: true });
+
+const importJobSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued',
+  },
+  mode: {
+    type: String,
+    enum: ['insert', 'upsert', 'replace-subject'],
+    required: true,
+  },
+  format: {
+    type: String,
+    enum: ['json', 'csv', 'ndjson'],
+    default: 'json',
+  },
+  taxonomy: {
+    type: String,
+    enum: ['create', 'validate'],
+    default: 'create',
+  },
+  totalRows: {
+    type: Number,
+    required: true,
+  },
+  processedRows: {
+    type: Number,
+    default: 0,
+  },
+  createdCount: { type: Number, default: 0 },
+  updatedCount: { type: Number, default: 0 },
+  unchangedCount: { type: Number, default: 0 },
+  removedCount: { type: Number, default: 0 },
+  failedCount: { type: Number, default: 0 },
+  // Only the first MAX_STORED_FAILURES are kept; failedCount is always exact
+  failures: {
+    type: [importFailureSchema],
+    default: [],
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // Server process holding the job in memory; it refreshes heartbeatAt while
+  // the job is queued or running
+  owner: String,
+  heartbeatAt: Date,
+  startedAt: Date,
+  finishedAt: Date,
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+importJobSchema.index({ status: 1, heartbeatAt: 1 });
+
+importJobSchema.statics.MAX_STORED_FAILURES = 1000;
+
+// Percentage of rows processed so far
+importJobSchema.virtual('progress').get(function() {
+  if (!this.totalRows) return 100;
+  return Math.round((this.processedRows / this.totalRows) * 100);
+});
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
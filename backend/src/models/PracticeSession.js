@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// One sitting of practice questions on a chapter. Logging a session adds
+// `correct` to the user's questionSolved for that chapter.
+const practiceSessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  chapter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    required: true,
+  },
+  attempted: {
+    type: Number,
+    required: true,
+    min: [1, 'At least one question must be attempted'],
+  },
+  correct: {
+    type: Number,
+    required: true,
+    min: [0, 'Correct answers cannot be negative'],
+    validate: {
+      validator: function(correct) {
+        return correct <= this.attempted;
+      },
+      message: 'Correct answers cannot exceed questions attempted',
+    },
+  },
+  timeSpentMinutes: {
+    type: Number,
+    required: true,
+    min: [0, 'Time spent cannot be negative'],
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot be more than 500 characters'],
+  },
+  practicedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+practiceSessionSchema.index({ user: 1, practicedAt: -1 });
+practiceSessionSchema.index({ user: 1, chapter: 1, practicedAt: -1 });
+
+module.exports = mongoose.model('PracticeSession', practiceSessionSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const { STATUSES } = require('../config/statusWorkflow');
+
+// One status change of a chapter. Entries without `user` track the chapter's
+// own status; entries with `user` track that user's progress on the chapter.
+const statusChangeSchema = new mongoose.Schema({
+  chapter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chapter',
+    required: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  from: {
+    type: String,
+    enum: STATUSES,
+    required: true,
+  },
+  to: {
+    type: String,
+    enum: STATUSES,
+    required: true,
+  },
+  reason: String,
+  source: {
+    type: String,
+    enum: ['update', 'import', 'rollback', 'progress', 'practice'],
+    required: true,
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+statusChangeSchema.index({ chapter: 1, user: 1, changedAt: 1 });
+
+module.exports = mongoose.model('StatusChange', statusChangeSchema);
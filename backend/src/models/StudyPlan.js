@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A user's saved study plan. The request parameters are kept so the plan can
+// be regenerated from the user's current progress.
+const studyPlanSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true,
+  },
+  examDate: {
+    type: Date,
+    required: true,
+  },
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  hoursPerDay: {
+    type: Number,
+    required: true,
+    min: 0.5,
+  },
+  subjects: {
+    type: [String],
+    required: true,
+  },
+  minutesPerQuestion: {
+    type: Number,
+    default: 5,
+  },
+  includeCompleted: {
+    type: Boolean,
+    default: false,
+  },
+  // [{ date, totalHours, sessions: [{ chapter, subject, chapterName, class, unit, score, hours, part }] }]
+  days: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: [],
+  },
+  unscheduled: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: [],
+  },
+  summary: mongoose.Schema.Types.Mixed,
+  version: {
+    type: Number,
+    default: 1,
+  },
+  generatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: true,
+});
+
+module.exports = mongoose.model('StudyPlan', studyPlanSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+const { normalizeName } = require('../utils/chapterKeys');
+
+// Subject -> class -> unit tree used to validate and group chapters. A class
+// belongs to one subject and a unit to one class, so "Class 11" under Physics
+// and under Chemistry are separate entries.
+const LEVELS = ['subject', 'class', 'unit'];
+const PARENT_LEVEL = { subject: null, class: 'subject', unit: 'class' };
+
+const taxonomyNodeSchema = new mongoose.Schema({
+  level: {
+    type: String,
+    enum: LEVELS,
+    required: true,
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot be more than 100 characters'],
+  },
+  key: {
+    type: String,
+    required: true,
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxonomyNode',
+    default: null,
+  },
+  // Display position among siblings; ties sort by name
+  order: {
+    type: Number,
+    default: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+taxonomyNodeSchema.pre('validate', function(next) {
+  if (this.name) this.key = normalizeName(this.name);
+  next();
+});
+
+taxonomyNodeSchema.index({ level: 1, parent: 1, key: 1 }, { unique: true });
+taxonomyNodeSchema.index({ parent: 1, order: 1, name: 1 });
+
+taxonomyNodeSchema.statics.LEVELS = LEVELS;
+taxonomyNodeSchema.statics.PARENT_LEVEL = PARENT_LEVEL;
+taxonomyNodeSchema.statics.normalizeName = normalizeName;
+
+module.exports = mongoose.model('TaxonomyNode', taxonomyNodeSchema);
@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { ROLES } = require('../config/permissions');
 
 const userSchema = new mongoose.Schema({
   email: {
@@ -22,9 +24,19 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ROLES,
     default: 'user',
   },
+  passwordChangedAt: Date,
+  // sha256 of the emailed reset token; the token itself is never stored
+  resetPasswordToken: {
+    type: String,
+    select: false,
+  },
+  resetPasswordExpire: {
+    type: Date,
+    select: false,
+  },
 }, {
   timestamps: true,
 });
@@ -32,17 +44,22 @@ const userSchema = new mongoose.Schema({
 // Encrypt password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) {
-    next();
+    return next();
   }
-  
+
   const salt = await bcrypt.genSalt(10);
   this.password = await bcrypt.hash(this.password, salt);
+
+  if (!this.isNew) {
+    this.passwordChangedAt = new Date();
+  }
 });
 
-// Sign JWT and return
-userSchema.methods.getSignedJwtToken = function() {
-  return jwt.sign({ id: this._id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
+// Sign a short-lived access token; familyId ties it to a refresh token session
+userSchema.methods.getSignedJwtToken = function({ familyId } = {}) {
+  return jwt.sign({ id: this._id, fam: familyId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m',
+    jwtid: crypto.randomUUID(),
   });
 };
 
@@ -51,4 +68,19 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+const hashResetToken = (resetToken) => crypto.createHash('sha256').update(resetToken).digest('hex');
+
+// Generate a one-time reset token, store its hash and expiry, return the plain token
+userSchema.methods.getResetPasswordToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const expireMinutes = parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES, 10) || 30;
+
+  this.resetPasswordToken = hashResetToken(resetToken);
+  this.resetPasswordExpire = new Date(Date.now() + expireMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+userSchema.statics.hashResetToken = hashResetToken;
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Single settings document (key 'default') holding the rules that derive
+// Chapter.isWeakChapter from catalogue data, plus the state of the last
+// recompute run
+const weakChapterRulesSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  // Solved questions below minPercent of totalQuestions
+  lowSolvedRatio: {
+    enabled: { type: Boolean, default: true },
+    minPercent: { type: Number, default: 30, min: 0, max: 100 },
+  },
+  // At least minQuestions asked in the latest recentYears exams and not Completed
+  highRecentFrequency: {
+    enabled: { type: Boolean, default: true },
+    recentYears: { type: Number, default: 3, min: 1 },
+    minQuestions: { type: Number, default: 10, min: 1 },
+  },
+  // Not Completed and untouched for at least `days` days
+  noRecentProgress: {
+    enabled: { type: Boolean, default: false },
+    days: { type: Number, default: 30, min: 1 },
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  lastRun: {
+    status: {
+      type: String,
+      enum: ['idle', 'running', 'completed', 'failed'],
+      default: 'idle',
+    },
+    startedAt: Date,
+    finishedAt: Date,
+    processed: Number,
+    flagged: Number,
+    changed: Number,
+    error: String,
+  },
+}, {
+  timestamps: true,
+});
+
+weakChapterRulesSchema.statics.RULE_NAMES = ['lowSolvedRatio', 'highRecentFrequency', 'noRecentProgress'];
+
+module.exports = mongoose.model('WeakChapterRules', weakChapterRulesSchema);
@@ -0,0 +1,16 @@
+const express = require('express');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { createApiKey, getApiKeys, revokeApiKey } = require('../controllers/apiKeyController');
+
+const router = express.Router();
+
+router.use(protect, requirePermission(PERMISSIONS.API_KEYS_MANAGE));
+
+router.route('/')
+  .get(getApiKeys)
+  .post(createApiKey);
+
+router.route('/:id').delete(revokeApiKey);
+
+module.exports = router;
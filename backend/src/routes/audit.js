@@ -0,0 +1,12 @@
+const express = require('express');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { getAuditLog } = require('../controllers/auditController');
+
+const router = express.Router();
+
+router.use(protect, requirePermission(PERMISSIONS.AUDIT_READ));
+
+router.route('/').get(getAuditLog);
+
+module.exports = router;
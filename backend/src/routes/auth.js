@@ -0,0 +1,25 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  changePassword,
+  forgotPassword,
+  resetPassword,
+  getMe,
+} = require('../controllers/authController');
+
+const router = express.Router();
+
+router.post('/register', register);
+router.post('/login', login);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
+router.post('/forgot-password', forgotPassword);
+router.post('/reset-password', resetPassword);
+router.put('/password', protect, changePassword);
+router.get('/me', protect, getMe);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { getCacheHealth, clearCache } = require('../controllers/cacheController');
+
+const router = express.Router();
+
+router.use(protect, requirePermission(PERMISSIONS.CACHE_ADMIN));
+
+router.route('/').delete(clearCache);
+router.route('/health').get(getCacheHealth);
+
+module.exports = router;
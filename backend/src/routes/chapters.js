@@ -1,11 +1,24 @@
 const express = require('express');
 const multer = require('multer');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, optionalAuth, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { FORMATS, detectFormat } = require('../utils/chapterParsers');
 const {
   getChapters,
   getChapter,
   uploadChapters,
+  updateChapter,
+  patchChapter,
+  deleteChapter,
+  restoreChapter,
+  rollbackChapter,
 } = require('../controllers/chapterController');
+const { diffRevisions, getRevisions } = require('../controllers/revisionController');
+const { getChapterStatusHistory } = require('../controllers/statusHistoryController');
+const { getChapterStats, getChapterTrends } = require('../controllers/statsController');
+const { searchChapters } = require('../controllers/searchController');
+const { exportChapters } = require('../controllers/exportController');
+const { getRecommendations } = require('../controllers/recommendationController');
 
 const router = express.Router();
 
@@ -17,20 +30,45 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024, // 10MB limit
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'application/json' || file.originalname.endsWith('.json')) {
+    if (detectFormat({ filename: file.originalname, mimetype: file.mimetype })) {
       cb(null, true);
     } else {
-      cb(new Error('Only JSON files are allowed'), false);
+      const error = new Error('Only JSON, CSV and NDJSON files are allowed');
+      error.statusCode = 400;
+      cb(error, false);
     }
   },
 });
 
+// Raw CSV / NDJSON request bodies (JSON bodies are parsed by express.json in app.js)
+const textBody = express.text({
+  type: [...FORMATS.csv.mimetypes, ...FORMATS.ndjson.mimetypes],
+  limit: '10mb',
+});
+
 // Public routes
-router.route('/').get(getChapters); // Less specific route
+router.route('/').get(optionalAuth, getChapters); // Less specific route
+router.route('/stats').get(optionalAuth, getChapterStats);
+router.route('/trends').get(optionalAuth, getChapterTrends);
+router.route('/search').get(optionalAuth, searchChapters);
+router.route('/export').get(optionalAuth, exportChapters);
+router.route('/recommendations').get(optionalAuth, getRecommendations);
+
+// router.route('/:id').get(optionalAuth, getChapter); // More specific route
+// Protected routes (editors and admins write, admins delete)
+const canWrite = [protect, requirePermission(PERMISSIONS.CHAPTERS_WRITE)];
+const canDelete = [protect, requirePermission(PERMISSIONS.CHAPTERS_DELETE)];
 
-// router.route('/:id').get(getChapter); // More specific route
-// Protected routes (Admin only)
-router.route('/').post( protect, authorize('admin'), upload.single('file'), uploadChapters);
+router.route('/').post(...canWrite, textBody, upload.single('file'), uploadChapters);
+router.route('/:id')
+  .put(...canWrite, updateChapter)
+  .patch(...canWrite, patchChapter)
+  .delete(...canDelete, deleteChapter);
+router.route('/:id/restore').post(...canDelete, restoreChapter);
+router.route('/:id/revisions').get(...canWrite, getRevisions);
+router.route('/:id/revisions/diff').get(...canWrite, diffRevisions);
+router.route('/:id/revisions/:revision/restore').post(...canWrite, rollbackChapter);
+router.route('/:id/status-history').get(...canWrite, getChapterStatusHistory);
 
 
 
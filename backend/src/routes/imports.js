@@ -0,0 +1,10 @@
+const express = require('express');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { getImportJob } = require('../controllers/importController');
+
+const router = express.Router();
+
+router.route('/:jobId').get(protect, requirePermission(PERMISSIONS.CHAPTERS_WRITE), getImportJob);
+
+module.exports = router;
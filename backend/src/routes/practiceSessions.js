@@ -0,0 +1,20 @@
+const express = require('express');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+  createPracticeSession,
+  getMyPracticeStats,
+  getPracticeSessions,
+} = require('../controllers/practiceController');
+
+const router = express.Router();
+
+// Sessions belong to the signed-in user
+router.use(protect);
+
+router.route('/')
+  .get(getPracticeSessions)
+  .post(requirePermission(PERMISSIONS.PROGRESS_WRITE), createPracticeSession);
+router.route('/stats').get(getMyPracticeStats);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+  getMyProgress,
+  getChapterProgress,
+  updateChapterProgress,
+} = require('../controllers/progressController');
+const { getMyStatusHistory } = require('../controllers/statusHistoryController');
+
+const router = express.Router();
+
+// All progress routes act on the signed-in user's own records
+router.use(protect);
+
+router.route('/').get(getMyProgress);
+router.route('/:chapterId')
+  .get(getChapterProgress)
+  .patch(requirePermission(PERMISSIONS.PROGRESS_WRITE), updateChapterProgress);
+router.route('/:chapterId/history').get(getMyStatusHistory);
+
+module.exports = router;
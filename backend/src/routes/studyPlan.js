@@ -0,0 +1,22 @@
+const express = require('express');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+  createStudyPlan,
+  getStudyPlan,
+  replanStudyPlan,
+} = require('../controllers/studyPlanController');
+
+const router = express.Router();
+
+// Plans belong to the signed-in user
+router.use(protect);
+
+const canPlan = requirePermission(PERMISSIONS.PROGRESS_WRITE);
+
+router.route('/')
+  .get(getStudyPlan)
+  .post(canPlan, createStudyPlan);
+router.route('/replan').post(canPlan, replanStudyPlan);
+
+module.exports = router;
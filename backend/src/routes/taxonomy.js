@@ -0,0 +1,27 @@
+const express = require('express');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+  createTaxonomyNode,
+  deleteTaxonomyNode,
+  getTaxonomy,
+  getTaxonomyNodes,
+  updateTaxonomyNode,
+} = require('../controllers/taxonomyController');
+
+const router = express.Router();
+
+// Editors maintain the taxonomy along with the chapters, admins delete
+const canWrite = [protect, requirePermission(PERMISSIONS.CHAPTERS_WRITE)];
+const canDelete = [protect, requirePermission(PERMISSIONS.CHAPTERS_DELETE)];
+
+// Public routes
+router.route('/').get(getTaxonomy);
+router.route('/:level')
+  .get(getTaxonomyNodes)
+  .post(...canWrite, createTaxonomyNode);
+router.route('/:level/:id')
+  .patch(...canWrite, updateTaxonomyNode)
+  .delete(...canDelete, deleteTaxonomyNode);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const { getUsers, updateUserRole } = require('../controllers/userController');
+
+const router = express.Router();
+
+router.use(protect, requirePermission(PERMISSIONS.USERS_MANAGE));
+
+router.route('/').get(getUsers);
+router.route('/:id/role').patch(updateUserRole);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const { protect, requirePermission } = require('../middleware/auth');
+const { PERMISSIONS } = require('../config/permissions');
+const {
+  getWeakRules,
+  updateWeakRules,
+  recomputeWeakChapters,
+} = require('../controllers/weakRulesController');
+
+const router = express.Router();
+
+router.use(protect, requirePermission(PERMISSIONS.RULES_MANAGE));
+
+router.route('/')
+  .get(getWeakRules)
+  .put(updateWeakRules);
+
+router.route('/recompute').post(recomputeWeakChapters);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+const User = require('../models/User');
+
+// Create the ADMIN_EMAIL / ADMIN_PASSWORD account if it does not exist yet.
+// An existing account with that email is left alone - never promoted and its
+// password never reset from the environment - with a warning when it is not
+// an admin, since anyone may have registered it.
+const seedAdmin = async () => {
+  const email = process.env.ADMIN_EMAIL;
+  const password = process.env.ADMIN_PASSWORD;
+
+  if (!email || !password) {
+    console.log('ADMIN_EMAIL / ADMIN_PASSWORD not set, skipping admin seed');
+    return null;
+  }
+
+  const existing = await User.findOne({ email: email.toLowerCase().trim() });
+  if (existing) {
+    if (existing.role !== 'admin') {
+      console.warn(`ADMIN_EMAIL ${existing.email} belongs to an existing ${existing.role} account; not promoting it`);
+    }
+    return existing;
+  }
+
+  const admin = await User.create({ email, password, role: 'admin' });
+  console.log(`Seeded admin user ${admin.email}`);
+  return admin;
+};
+
+module.exports = {
+  seedAdmin,
+};
@@ -0,0 +1,103 @@
+const AuditLog = require('../models/AuditLog');
+
+const AUDITED_CHAPTER_FIELDS = [
+  'subject',
+  'chapter',
+  'class',
+  'unit',
+  'yearWiseQuestionCount',
+  'questionSolved',
+  'status',
+  'isWeakChapter',
+  'isWeakChapterOverride',
+  'isDeleted',
+];
+
+// Who made a request and from where; stored on every entry it produces
+const auditContext = (req, actor = {}) => ({
+  actor: {
+    user: req.user ? req.user._id : actor.user,
+    email: req.user ? req.user.email : actor.email,
+    role: req.user ? req.user.role : actor.role,
+    apiKey: req.apiKey ? req.apiKey._id : undefined,
+    apiKeyPrefix: req.apiKey ? req.apiKey.prefix : undefined,
+  },
+  ip: req.ip,
+  userAgent: req.get('user-agent'),
+});
+
+const plain = (doc) => {
+  if (!doc) return {};
+  return typeof doc.toObject === 'function' ? doc.toObject({ flattenMaps: true }) : doc;
+};
+
+const yearCounts = (counts) => (counts instanceof Map ? Object.fromEntries(counts) : counts || {});
+
+// Chapters written before soft delete existed have no isDeleted field
+const fieldValue = (doc, field) => (field === 'isDeleted' ? Boolean(doc[field]) : doc[field] ?? null);
+
+// Changed chapter fields as { before, after }; year counts are compared per
+// year so an entry only lists the years that moved. Null when nothing changed.
+const diffChapter = (beforeDoc, afterDoc) => {
+  const before = {};
+  const after = {};
+  const current = plain(beforeDoc);
+  const next = plain(afterDoc);
+
+  AUDITED_CHAPTER_FIELDS.forEach((field) => {
+    if (field === 'yearWiseQuestionCount') {
+      const beforeYears = yearCounts(current[field]);
+      const afterYears = yearCounts(next[field]);
+      const years = new Set([...Object.keys(beforeYears), ...Object.keys(afterYears)]);
+      [...years].sort().forEach((year) => {
+        if ((beforeYears[year] ?? null) !== (afterYears[year] ?? null)) {
+          before[`${field}.${year}`] = beforeYears[year] ?? null;
+          after[`${field}.${year}`] = afterYears[year] ?? null;
+        }
+      });
+      return;
+    }
+
+    const from = fieldValue(current, field);
+    const to = fieldValue(next, field);
+    if (from !== to) {
+      before[field] = from;
+      after[field] = to;
+    }
+  });
+
+  return Object.keys(after).length > 0 ? { before, after } : null;
+};
+
+// Audit writes never fail the request that triggered them
+const recordAudit = async (context, entry) => {
+  try {
+    await AuditLog.create({ ...context, ...entry });
+  } catch (error) {
+    console.error(`Failed to record audit entry ${entry.action}:`, error);
+  }
+};
+
+// One entry per upload: every created, updated or removed chapter as a target,
+// with field diffs for the updated ones
+const recordUpload = (context, { uploaded, removedIds }, metadata) => {
+  const changed = uploaded.filter(row => row.result !== 'unchanged');
+
+  return recordAudit(context, {
+    action: 'chapters.upload',
+    targetType: 'chapter',
+    targetIds: [...changed.map(row => row.chapter._id), ...removedIds],
+    changes: changed
+      .filter(row => row.changes)
+      .slice(0, AuditLog.MAX_STORED_CHANGES)
+      .map(row => ({ target: row.chapter._id, ...row.changes })),
+    metadata,
+  });
+};
+
+module.exports = {
+  auditContext,
+  diffChapter,
+  recordAudit,
+  recordUpload,
+};
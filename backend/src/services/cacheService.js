@@ -201,6 +201,15 @@ class CacheService {
     return await this.invalidatePattern('/api/v1/chapters*');
   }
 
+  async invalidateSingleChapterCache(id) {
+    return await this.delete(`/api/v1/chapter/${id}`);
+  }
+
+  // Chapter list responses cached for one user (their progress is merged in)
+  async invalidateUserChapterCache(userId) {
+    return await this.invalidatePattern(`/api/v1/chapters*user=${userId}*`);
+  }
+
   // v2: Utility method to clear all cache with timeout
   async clearAll() {
     if (!this.isAvailable()) {
@@ -0,0 +1,312 @@
+const Chapter = require('../models/Chapter');
+const cacheService = require('./cacheService');
+const { diffChapter } = require('./auditService');
+const { ensureBaselines, recordRevisions } = require('./revisionService');
+const { recordStatusChanges } = require('./statusHistoryService');
+const { resolveTaxonomy } = require('./taxonomyService');
+const { refreshWeakFlags } = require('./weakChapterService');
+const { transitionError } = require('../config/statusWorkflow');
+const { missingChapters, naturalKey } = require('../utils/chapterKeys');
+const { validateChapters } = require('../utils/validation');
+
+const COMPARED_FIELDS = ['unit', 'questionSolved', 'status', 'isWeakChapter', 'isWeakChapterOverride'];
+
+const isSameChapter = (existing, incoming) => {
+  if (existing.isDeleted) return false;
+  // isWeakChapter and isWeakChapterOverride may be left out of uploads, which
+  // keeps the stored values
+  if (COMPARED_FIELDS.some(field => field in incoming && existing[field] !== incoming[field])) return false;
+
+  const existingYears = existing.yearWiseQuestionCount || {};
+  const incomingYears = incoming.yearWiseQuestionCount || {};
+  const years = new Set([...Object.keys(existingYears), ...Object.keys(incomingYears)]);
+  return [...years].every(year => (existingYears[year] || 0) === (incomingYears[year] || 0));
+};
+
+// statusReason only explains a status change; it is not stored on the chapter
+const chapterFields = ({ statusReason, ...chapter }) => ({
+  ...chapter,
+  totalQuestions: Chapter.countQuestions(chapter.yearWiseQuestionCount),
+});
+
+const summarize = (chapter, index, result) => ({
+  index,
+  result,
+  chapter: {
+    _id: chapter._id,
+    subject: chapter.subject,
+    chapter: chapter.chapter,
+    class: chapter.class,
+  },
+});
+
+// Give valid rows their taxonomy subject, class and unit names; rows that do
+// not resolve (taxonomy 'validate' with a missing entry) move to `failed`
+const applyTaxonomy = async (rows, indexes, failed, taxonomy) => {
+  const { rows: resolved, errors } = await resolveTaxonomy(rows, { create: taxonomy === 'create' });
+  const valid = [];
+  const validIndexes = [];
+
+  resolved.forEach((row, position) => {
+    if (errors[position].length > 0) {
+      failed.push({ index: indexes[position], chapter: row, errors: errors[position] });
+      return;
+    }
+    valid.push(row);
+    validIndexes.push(indexes[position]);
+  });
+
+  return { valid, validIndexes };
+};
+
+// Fail every row whose natural key an earlier row of the upload already used.
+// seenKeys carries the keys across the chunks of one upload.
+const dropDuplicates = (valid, validIndexes, failed, seenKeys) => {
+  const unique = [];
+  const uniqueIndexes = [];
+
+  valid.forEach((chapter, position) => {
+    const key = naturalKey(chapter);
+    if (seenKeys.has(key)) {
+      failed.push({
+        index: validIndexes[position],
+        chapter,
+        errors: ['Duplicate chapter in upload (same subject, class and chapter)'],
+      });
+      return;
+    }
+    seenKeys.add(key);
+    unique.push(chapter);
+    uniqueIndexes.push(validIndexes[position]);
+  });
+
+  return { valid: unique, validIndexes: uniqueIndexes };
+};
+
+// Plain inserts - rows whose natural key already exists fail with a duplicate key error
+const insertChapters = async (valid, validIndexes, failed) => {
+  const uploaded = [];
+  let insertedDocs = [];
+  let failedPositions = new Set();
+
+  try {
+    insertedDocs = await Chapter.insertMany(valid.map(chapterFields), {
+      ordered: false, // Continue inserting even if some documents fail
+    });
+  } catch (bulkError) {
+    if (!bulkError.writeErrors) throw bulkError;
+
+    bulkError.writeErrors.forEach(writeError => {
+      failedPositions.add(writeError.index);
+      failed.push({
+        index: validIndexes[writeError.index],
+        chapter: valid[writeError.index],
+        errors: [writeError.errmsg || 'Database error'],
+      });
+    });
+    insertedDocs = bulkError.insertedDocs || [];
+  }
+
+  // insertedDocs keeps the input order minus the rows that failed
+  const insertedPositions = valid.map((_, position) => position)
+    .filter(position => !failedPositions.has(position));
+  insertedDocs.forEach((doc, i) => {
+    uploaded.push(summarize(doc, validIndexes[insertedPositions[i]], 'created'));
+  });
+
+  return uploaded;
+};
+
+// Create missing chapters, update changed ones and leave identical ones alone.
+// Status changes must follow the status workflow and are added to the timeline.
+const upsertChapters = async (valid, validIndexes, failed, userId) => {
+  const uploaded = [];
+  if (valid.length === 0) return uploaded;
+
+  const existingDocs = await Chapter.find({
+    $or: valid.map(({ subject, class: className, chapter }) => ({
+      subject,
+      class: className,
+      chapter,
+    })),
+  }).lean();
+  const existingByKey = new Map(existingDocs.map(doc => [naturalKey(doc), doc]));
+
+  const operations = [];
+  const pending = [];
+
+  valid.forEach((chapter, position) => {
+    const index = validIndexes[position];
+    const existing = existingByKey.get(naturalKey(chapter));
+    if (existing && isSameChapter(existing, chapter)) {
+      uploaded.push(summarize(existing, index, 'unchanged'));
+      return;
+    }
+
+    const transitionMessage = existing && transitionError(existing.status, chapter.status, chapter.statusReason);
+    if (transitionMessage) {
+      failed.push({ index, chapter, errors: [transitionMessage] });
+      return;
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { subject: chapter.subject, class: chapter.class, chapter: chapter.chapter },
+        update: { $set: { ...chapterFields(chapter), isDeleted: false, deletedAt: null } },
+        upsert: true,
+      },
+    });
+    pending.push({ chapter, index, existing });
+  });
+
+  if (operations.length === 0) return uploaded;
+
+  await ensureBaselines(pending.filter(({ existing }) => existing).map(({ existing }) => existing));
+
+  let bulkResult;
+  const failedOperations = new Set();
+  try {
+    bulkResult = await Chapter.bulkWrite(operations, { ordered: false });
+  } catch (bulkError) {
+    if (!bulkError.writeErrors) throw bulkError;
+
+    bulkResult = bulkError.result;
+    bulkError.writeErrors.forEach(writeError => {
+      const { chapter, index } = pending[writeError.index];
+      failedOperations.add(writeError.index);
+      failed.push({
+        index,
+        chapter,
+        errors: [writeError.errmsg || 'Database error'],
+      });
+    });
+  }
+
+  const upsertedIds = (bulkResult && bulkResult.upsertedIds) || {};
+  const statusChanges = [];
+  pending.forEach(({ chapter, index, existing }, position) => {
+    if (failedOperations.has(position)) return;
+
+    if (existing) {
+      uploaded.push({
+        ...summarize({ ...chapter, _id: existing._id }, index, 'updated'),
+        changes: diffChapter(existing, { ...existing, ...chapterFields(chapter), isDeleted: false }),
+      });
+      statusChanges.push({
+        chapter: existing._id,
+        from: existing.status,
+        to: chapter.status,
+        reason: chapter.statusReason,
+        source: 'import',
+        changedBy: userId,
+      });
+    } else {
+      uploaded.push(summarize({ ...chapter, _id: upsertedIds[position] }, index, 'created'));
+    }
+  });
+
+  await recordStatusChanges(statusChanges);
+
+  return uploaded;
+};
+
+// Soft delete chapters of the uploaded subjects that are missing from the upload.
+// Only rows that pass validation pick the subjects replaced, but every row
+// keeps the chapter it names, so a failed row never deletes its chapter.
+const removeMissingChapters = async (rows, { userId } = {}) => {
+  const subjects = [...new Set(validateChapters(rows).valid.map(chapter => chapter.subject))];
+  if (subjects.length === 0) return [];
+
+  const candidates = await Chapter.find(
+    { subject: { $in: subjects }, isDeleted: { $ne: true } }
+  ).collation({ locale: 'en', strength: 2 }).lean();
+  const staleDocs = missingChapters(candidates, rows);
+  if (staleDocs.length === 0) return [];
+
+  const staleIds = staleDocs.map(doc => doc._id);
+  await ensureBaselines(staleDocs);
+  await Chapter.updateMany(
+    { _id: { $in: staleIds } },
+    { $set: { isDeleted: true, deletedAt: new Date() } }
+  );
+  await recordRevisions(staleDocs.map(doc => ({ ...doc, isDeleted: true })), { action: 'delete', userId });
+  return staleIds;
+};
+
+// Validate and write a batch of raw chapter rows
+// mode: 'insert' | 'upsert' | 'replace-subject'
+// lines: optional source line per row, copied onto every result entry
+// userId: recorded as the author of the chapter revisions
+// taxonomy: 'create' | 'validate' - what to do with unknown subjects, classes and units
+// seenKeys: natural keys of earlier chunks of the same upload, which count as duplicates
+const importChapters = async (chapters, {
+  mode = 'insert',
+  lines,
+  userId,
+  taxonomy = 'create',
+  seenKeys = new Set(),
+} = {}) => {
+  const validated = validateChapters(chapters);
+  const failed = [...validated.invalid];
+  const resolved = await applyTaxonomy(validated.valid, validated.validIndexes, failed, taxonomy);
+  const { valid, validIndexes } = dropDuplicates(resolved.valid, resolved.validIndexes, failed, seenKeys);
+
+  const uploaded = mode === 'insert'
+    ? await insertChapters(valid, validIndexes, failed)
+    : await upsertChapters(valid, validIndexes, failed, userId);
+
+  const changedIds = uploaded
+    .filter(row => row.result !== 'unchanged')
+    .map(row => row.chapter._id);
+  if (changedIds.length > 0) {
+    const changedDocs = await Chapter.find({ _id: { $in: changedIds } }).lean();
+    await recordRevisions(changedDocs, { action: 'import', userId });
+    await refreshWeakFlags(changedIds, { userId });
+  }
+
+  const removedIds = mode === 'replace-subject'
+    ? await removeMissingChapters(chapters, { userId })
+    : [];
+
+  if (lines) {
+    [...uploaded, ...failed].forEach((row) => {
+      row.line = lines[row.index] ?? null;
+    });
+  }
+
+  const countOf = (result) => uploaded.filter(row => row.result === result).length;
+
+  return {
+    mode,
+    uploaded: uploaded.sort((a, b) => a.index - b.index),
+    failed: failed.sort((a, b) => a.index - b.index),
+    createdCount: countOf('created'),
+    updatedCount: countOf('updated'),
+    unchangedCount: countOf('unchanged'),
+    removedCount: removedIds.length,
+    removedIds,
+  };
+};
+
+// Drop the list cache and the single-chapter caches touched by an import
+const invalidateImportCaches = async ({ uploaded, createdCount, updatedCount, removedIds }) => {
+  try {
+    if (createdCount + updatedCount + removedIds.length === 0) return;
+
+    await cacheService.invalidateChapterCache();
+    const changedIds = [
+      ...uploaded.filter(row => row.result === 'updated').map(row => row.chapter._id),
+      ...removedIds,
+    ];
+    await Promise.all(changedIds.map(id => cacheService.invalidateSingleChapterCache(id)));
+  } catch (cacheErr) {
+    console.warn('Cache invalidation failed:', cacheErr);
+  }
+};
+
+module.exports = {
+  importChapters,
+  invalidateImportCaches,
+  naturalKey,
+  removeMissingChapters,
+};
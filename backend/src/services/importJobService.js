@@ -0,0 +1,196 @@
+const os = require('os');
+const ImportJob = require('../models/ImportJob');
+const {
+  importChapters,
+  invalidateImportCaches,
+  removeMissingChapters,
+} = require('./chapterImportService');
+const { recordUpload } = require('./auditService');
+
+const CHUNK_SIZE = 500;
+
+// Jobs whose owner has not refreshed them for STALE_AFTER_MS are failed
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const STALE_AFTER_MS = 5 * HEARTBEAT_INTERVAL_MS;
+
+// This process; unique across restarts and across servers sharing the database
+const OWNER = `${os.hostname()}:${process.pid}:${Date.now()}`;
+
+// Rows are kept in memory only; jobs of a process that stops are failed once
+// their heartbeat goes stale
+const queue = [];
+let processing = false;
+let heartbeatTimer = null;
+
+const toFailure = (failed, offset) => ({
+  index: failed.index + offset,
+  line: failed.line ?? undefined,
+  chapter: {
+    subject: failed.chapter && failed.chapter.subject,
+    chapter: failed.chapter && failed.chapter.chapter,
+    class: failed.chapter && failed.chapter.class,
+  },
+  errors: failed.errors,
+});
+
+const runJob = async ({ jobId, rows, lines, mode, format, taxonomy, userId, audit }) => {
+  await ImportJob.findByIdAndUpdate(jobId, {
+    $set: { status: 'running', startedAt: new Date(), heartbeatAt: new Date() },
+  });
+
+  try {
+    // replace-subject needs every row before it can remove anything, so chunks upsert
+    const chunkMode = mode === 'replace-subject' ? 'upsert' : mode;
+    const changedRows = [];
+    const counts = { createdCount: 0, updatedCount: 0, unchangedCount: 0, failedCount: 0 };
+    // A chapter repeated in a later chunk is a duplicate, as in a synchronous upload
+    const seenKeys = new Set();
+
+    for (let offset = 0; offset < rows.length; offset += CHUNK_SIZE) {
+      const chunk = rows.slice(offset, offset + CHUNK_SIZE);
+      const result = await importChapters(chunk, {
+        mode: chunkMode,
+        lines: lines && lines.slice(offset, offset + CHUNK_SIZE),
+        userId,
+        taxonomy,
+        seenKeys,
+      });
+      await invalidateImportCaches(result);
+
+      changedRows.push(...result.uploaded.filter(row => row.result !== 'unchanged'));
+      counts.createdCount += result.createdCount;
+      counts.updatedCount += result.updatedCount;
+      counts.unchangedCount += result.unchangedCount;
+      counts.failedCount += result.failed.length;
+
+      await ImportJob.findByIdAndUpdate(jobId, {
+        $set: { heartbeatAt: new Date() },
+        $inc: {
+          processedRows: chunk.length,
+          createdCount: result.createdCount,
+          updatedCount: result.updatedCount,
+          unchangedCount: result.unchangedCount,
+          failedCount: result.failed.length,
+        },
+        $push: {
+          failures: {
+            $each: result.failed.map(failed => toFailure(failed, offset)),
+            $slice: ImportJob.MAX_STORED_FAILURES,
+          },
+        },
+      });
+    }
+
+    let removedIds = [];
+    if (mode === 'replace-subject') {
+      removedIds = await removeMissingChapters(rows, { userId });
+      await invalidateImportCaches({
+        uploaded: [],
+        createdCount: 0,
+        updatedCount: 0,
+        removedIds,
+      });
+    }
+
+    await ImportJob.findByIdAndUpdate(jobId, {
+      $set: { status: 'completed', removedCount: removedIds.length, finishedAt: new Date() },
+    });
+
+    if (audit) {
+      await recordUpload(audit, { uploaded: changedRows, removedIds }, {
+        mode,
+        format,
+        taxonomy,
+        jobId,
+        ...counts,
+        removedCount: removedIds.length,
+      });
+    }
+  } catch (error) {
+    console.error(`Import job ${jobId} failed:`, error);
+    await ImportJob.findByIdAndUpdate(jobId, {
+      $set: { status: 'failed', error: error.message, finishedAt: new Date() },
+    });
+  }
+};
+
+const drainQueue = async () => {
+  if (processing) return;
+  processing = true;
+
+  try {
+    while (queue.length > 0) {
+      await runJob(queue.shift());
+    }
+  } catch (error) {
+    console.error('Import queue error:', error);
+  } finally {
+    processing = false;
+  }
+};
+
+// Create a job record and schedule the rows for background processing.
+// audit: auditContext() of the request, recorded once the job completes
+const enqueueImport = async (rows, { mode, format, taxonomy, lines, userId, audit }) => {
+  const job = await ImportJob.create({
+    mode,
+    format,
+    taxonomy,
+    totalRows: rows.length,
+    createdBy: userId,
+    owner: OWNER,
+    heartbeatAt: new Date(),
+  });
+
+  queue.push({ jobId: job._id, rows, lines, mode, format, taxonomy, userId, audit });
+  setImmediate(drainQueue);
+
+  return job;
+};
+
+// Jobs left queued or running by a process that stopped (no heartbeat for
+// STALE_AFTER_MS) can never finish. Jobs from before heartbeats were recorded
+// are judged by their last update.
+const failInterruptedJobs = async () => {
+  const cutoff = new Date(Date.now() - STALE_AFTER_MS);
+  const result = await ImportJob.updateMany(
+    {
+      status: { $in: ['queued', 'running'] },
+      owner: { $ne: OWNER },
+      $or: [
+        { heartbeatAt: { $lt: cutoff } },
+        { heartbeatAt: null, updatedAt: { $lt: cutoff } },
+      ],
+    },
+    { $set: { status: 'failed', error: 'Interrupted: the server running it stopped', finishedAt: new Date() } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`Marked ${result.modifiedCount} interrupted import jobs as failed`);
+  }
+};
+
+// Refresh this process's jobs and fail other processes' stale ones, every
+// HEARTBEAT_INTERVAL_MS
+const startHeartbeat = () => {
+  if (heartbeatTimer) return;
+
+  heartbeatTimer = setInterval(async () => {
+    try {
+      await ImportJob.updateMany(
+        { owner: OWNER, status: { $in: ['queued', 'running'] } },
+        { $set: { heartbeatAt: new Date() } }
+      );
+      await failInterruptedJobs();
+    } catch (error) {
+      console.warn('Import job heartbeat failed:', error.message);
+    }
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeatTimer.unref();
+};
+
+module.exports = {
+  CHUNK_SIZE,
+  enqueueImport,
+  failInterruptedJobs,
+  startHeartbeat,
+};
@@ -0,0 +1,47 @@
+const fs = require('fs');
+const path = require('path');
+
+// Outgoing mail goes through a swappable transport: an object with an async
+// send({ to, subject, text }) method. MAIL_TRANSPORT picks a built-in one:
+//   console (default) - print the message
+//   file              - append it to MAIL_OUTBOX_FILE (default tmp/mail-outbox.log)
+// Call setTransport() to plug in a real provider.
+
+const consoleTransport = {
+  name: 'console',
+  async send({ to, subject, text }) {
+    console.log(`--- mail to ${to} ---\nSubject: ${subject}\n\n${text}\n--- end of mail ---`);
+  },
+};
+
+const createFileTransport = (file = process.env.MAIL_OUTBOX_FILE || 'tmp/mail-outbox.log') => ({
+  name: 'file',
+  async send({ to, subject, text }) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const entry = `Date: ${new Date().toISOString()}\nTo: ${to}\nSubject: ${subject}\n\n${text}\n\n`;
+    await fs.promises.appendFile(file, entry, 'utf8');
+  },
+});
+
+let transport = process.env.MAIL_TRANSPORT === 'file' ? createFileTransport() : consoleTransport;
+
+const setTransport = (nextTransport) => {
+  if (!nextTransport || typeof nextTransport.send !== 'function') {
+    throw new Error('Mail transport must implement send({ to, subject, text })');
+  }
+  transport = nextTransport;
+};
+
+const getTransport = () => transport;
+
+const sendMail = async ({ to, subject, text }) => {
+  await transport.send({ to, subject, text });
+};
+
+module.exports = {
+  consoleTransport,
+  createFileTransport,
+  getTransport,
+  sendMail,
+  setTransport,
+};
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const ChapterProgress = require('../models/ChapterProgress');
+const PracticeSession = require('../models/PracticeSession');
+const { transitionError } = require('../config/statusWorkflow');
+const { recordStatusChanges } = require('./statusHistoryService');
+const { accuracy, computeStreaks, dayInZone, weeklyTotals } = require('../utils/practiceStats');
+
+// Save a session and apply it to the user's progress: questionSolved grows by
+// `correct`, capped at the chapter's totalQuestions (a value already above the
+// cap is left alone), and a Not Started chapter moves to In Progress (unless
+// the status workflow forbids it). Both are single conditional updates, so
+// concurrent sessions add up and record the status move once.
+// Returns { session, progress }
+const logPracticeSession = async (userId, data, { totalQuestions = null } = {}) => {
+  const session = await PracticeSession.create({ ...data, user: userId });
+
+  let progress;
+  try {
+    const existing = await ChapterProgress.findOneAndUpdate(
+      { user: userId, chapter: data.chapter },
+      { $setOnInsert: { user: userId, chapter: data.chapter } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    const solved = { $add: ['$questionSolved', data.correct] };
+    progress = await ChapterProgress.findOneAndUpdate(
+      { _id: existing._id },
+      [{
+        $set: {
+          questionSolved: totalQuestions === null
+            ? solved
+            : { $max: ['$questionSolved', { $min: [solved, totalQuestions] }] },
+        },
+      }],
+      { new: true }
+    ).lean();
+  } catch (error) {
+    await PracticeSession.deleteOne({ _id: session._id });
+    throw error;
+  }
+
+  if (progress.status === 'Not Started' && !transitionError('Not Started', 'In Progress')) {
+    const started = await ChapterProgress.findOneAndUpdate(
+      { _id: progress._id, status: 'Not Started' },
+      { $set: { status: 'In Progress' } },
+      { new: true }
+    ).lean();
+
+    if (started) {
+      progress = started;
+      await recordStatusChanges([{
+        chapter: data.chapter,
+        user: userId,
+        from: 'Not Started',
+        to: 'In Progress',
+        source: 'practice',
+        changedBy: userId,
+      }]);
+    }
+  }
+
+  return { session, progress };
+};
+
+// Streaks, all-time totals and the last `weeks` weekly totals of a user,
+// optionally for one chapter
+const getPracticeStats = async (userId, { chapter, weeks, timeZone }) => {
+  const match = { user: new mongoose.Types.ObjectId(String(userId)) };
+  if (chapter) match.chapter = new mongoose.Types.ObjectId(chapter);
+
+  const dailyTotals = (await PracticeSession.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$practicedAt', timezone: timeZone } },
+        sessions: { $sum: 1 },
+        attempted: { $sum: '$attempted' },
+        correct: { $sum: '$correct' },
+        timeSpentMinutes: { $sum: '$timeSpentMinutes' },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ])).map(({ _id, ...totals }) => ({ day: _id, ...totals }));
+
+  const today = dayInZone(Date.now(), timeZone);
+  const totals = dailyTotals.reduce((sum, day) => ({
+    sessions: sum.sessions + day.sessions,
+    attempted: sum.attempted + day.attempted,
+    correct: sum.correct + day.correct,
+    timeSpentMinutes: sum.timeSpentMinutes + day.timeSpentMinutes,
+  }), { sessions: 0, attempted: 0, correct: 0, timeSpentMinutes: 0 });
+
+  return {
+    timeZone,
+    today,
+    streak: computeStreaks(dailyTotals.map(({ day }) => day), today),
+    totals: { ...totals, daysPracticed: dailyTotals.length, accuracy: accuracy(totals) },
+    weeks: weeklyTotals(dailyTotals, { today, weeks }),
+  };
+};
+
+module.exports = {
+  getPracticeStats,
+  logPracticeSession,
+};
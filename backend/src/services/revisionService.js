@@ -0,0 +1,88 @@
+const ChapterRevision = require('../models/ChapterRevision');
+
+const { SNAPSHOT_FIELDS } = ChapterRevision;
+
+const toSnapshot = (doc) => {
+  const source = typeof doc.toObject === 'function' ? doc.toObject({ flattenMaps: true }) : doc;
+  const snapshot = Object.fromEntries(SNAPSHOT_FIELDS.map(field => [field, source[field] ?? null]));
+
+  const counts = snapshot.yearWiseQuestionCount;
+  snapshot.yearWiseQuestionCount = counts instanceof Map ? Object.fromEntries(counts) : counts || {};
+  snapshot.isDeleted = Boolean(snapshot.isDeleted);
+  return snapshot;
+};
+
+const latestRevisions = async (chapterIds) => {
+  const latest = await ChapterRevision.aggregate([
+    { $match: { chapter: { $in: chapterIds } } },
+    { $group: { _id: '$chapter', revision: { $max: '$revision' } } },
+  ]);
+  return new Map(latest.map(({ _id, revision }) => [String(_id), revision]));
+};
+
+// Writers racing for the same number get at most this many tries each
+const MAX_ATTEMPTS = 5;
+
+// Positions of the revisions that lost a race for their number (unique index)
+const insertRevisions = async (revisions) => {
+  if (revisions.length === 0) return [];
+  try {
+    await ChapterRevision.insertMany(revisions, { ordered: false });
+    return [];
+  } catch (error) {
+    if (!error.writeErrors || error.writeErrors.some(writeError => writeError.code !== 11000)) throw error;
+    return error.writeErrors.map(writeError => writeError.index);
+  }
+};
+
+// Chapters written before revisions existed get their current state stored as
+// revision 1, so the first recorded change can still be rolled back. A
+// conflict means another writer already stored a revision, so no baseline is needed.
+// docs: chapters as they are before the write
+const ensureBaselines = async (docs) => {
+  if (docs.length === 0) return;
+
+  const latest = await latestRevisions(docs.map(doc => doc._id));
+  await insertRevisions(docs
+    .filter(doc => !latest.has(String(doc._id)))
+    .map(doc => ({
+      chapter: doc._id,
+      revision: 1,
+      action: 'baseline',
+      snapshot: toSnapshot(doc),
+    })));
+};
+
+// Store the new state of each chapter as its next revision. A revision whose
+// number was taken by a concurrent writer is retried with the next number, so
+// every change is kept.
+// docs: chapters as they are after the write
+const recordRevisions = async (docs, { action, userId, restoredFrom } = {}) => {
+  let pending = docs;
+
+  for (let attempt = 1; pending.length > 0; attempt += 1) {
+    const latest = await latestRevisions(pending.map(doc => doc._id));
+    const conflicts = await insertRevisions(pending.map(doc => ({
+      chapter: doc._id,
+      revision: (latest.get(String(doc._id)) || 0) + 1,
+      action,
+      snapshot: toSnapshot(doc),
+      restoredFrom,
+      changedBy: userId,
+    })));
+
+    if (conflicts.length > 0 && attempt >= MAX_ATTEMPTS) {
+      throw new Error(`Could not number ${conflicts.length} chapter revisions after ${MAX_ATTEMPTS} attempts`);
+    }
+    pending = conflicts.map(position => pending[position]);
+  }
+};
+
+const deleteRevisions = (chapterId) => ChapterRevision.deleteMany({ chapter: chapterId });
+
+module.exports = {
+  deleteRevisions,
+  ensureBaselines,
+  recordRevisions,
+  toSnapshot,
+};
@@ -0,0 +1,16 @@
+const StatusChange = require('../models/StatusChange');
+
+// changes: [{ chapter, user?, from, to, reason?, source, changedBy? }]; entries
+// whose status did not change are skipped
+const recordStatusChanges = async (changes) => {
+  const entries = changes.filter(change => change.from && change.to && change.from !== change.to);
+  if (entries.length === 0) return;
+  await StatusChange.insertMany(entries);
+};
+
+const deleteStatusHistory = chapterId => StatusChange.deleteMany({ chapter: chapterId });
+
+module.exports = {
+  deleteStatusHistory,
+  recordStatusChanges,
+};
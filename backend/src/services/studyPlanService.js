@@ -0,0 +1,49 @@
+const Chapter = require('../models/Chapter');
+const { buildMatchStages, notDeleted } = require('../utils/chapterQuery');
+const { scoreChapters } = require('../utils/chapterPriority');
+const { RECOMMENDATION_WEIGHTS } = require('../config/recommendations');
+const { buildSchedule, toDay } = require('../utils/studyPlanner');
+
+// The user's view of every chapter in `subjects`, scored highest priority first
+const loadScoredChapters = async (userId, { subjects, includeCompleted }) => {
+  const [chapters, years] = await Promise.all([
+    Chapter.aggregate([
+      ...buildMatchStages({ ...notDeleted, subject: { $in: subjects } }, userId),
+      { $project: { subject: 1, chapter: 1, class: 1, unit: 1, yearWiseQuestionCount: 1, questionSolved: 1, status: 1, isWeakChapter: 1 } },
+    ]),
+    Chapter.examYears(notDeleted),
+  ]);
+
+  const candidates = includeCompleted
+    ? chapters
+    : chapters.filter(chapter => chapter.status !== 'Completed');
+
+  return {
+    scored: scoreChapters(candidates, { years, weights: RECOMMENDATION_WEIGHTS }),
+    missingSubjects: subjects.filter(subject => !chapters.some(chapter => chapter.subject === subject)),
+  };
+};
+
+// Plan fields ready to save: { startDate, days, unscheduled, summary, generatedAt }
+const generatePlan = async (userId, options) => {
+  const { scored, missingSubjects } = await loadScoredChapters(userId, options);
+  const startDate = toDay(options.startDate || new Date());
+  const schedule = buildSchedule(scored, {
+    startDate,
+    examDate: options.examDate,
+    hoursPerDay: options.hoursPerDay,
+    minutesPerQuestion: options.minutesPerQuestion,
+  });
+
+  return {
+    startDate,
+    days: schedule.days,
+    unscheduled: schedule.unscheduled,
+    summary: { ...schedule.summary, missingSubjects },
+    generatedAt: new Date(),
+  };
+};
+
+module.exports = {
+  generatePlan,
+};
@@ -0,0 +1,304 @@
+const Chapter = require('../models/Chapter');
+const TaxonomyNode = require('../models/TaxonomyNode');
+const cacheService = require('./cacheService');
+const { ensureBaselines, recordRevisions } = require('./revisionService');
+const { notDeleted } = require('../utils/chapterQuery');
+
+const { LEVELS, normalizeName } = TaxonomyNode;
+
+// Chapter strings that differ only in case match the same entry
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+const CHILDREN_KEYS = { subject: 'classes', class: 'units' };
+
+const displayName = name => String(name).trim().replace(/\s+/g, ' ');
+
+const lookupKey = (level, parentId, name) => `${level}:${parentId || ''}:${normalizeName(name)}`;
+
+const taxonomyError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const invalidateTaxonomyCache = async () => {
+  try {
+    await cacheService.invalidatePattern('/api/v1/taxonomy*');
+  } catch (cacheErr) {
+    console.warn('Cache invalidation failed:', cacheErr);
+  }
+};
+
+// Existing entry or a new one; concurrent creators meet on the unique index.
+// Returns { node, created }
+const findOrCreateNode = async (level, parentId, name) => {
+  const filter = { level, parent: parentId || null, key: normalizeName(name) };
+  try {
+    const result = await TaxonomyNode.findOneAndUpdate(
+      filter,
+      { $setOnInsert: { name: displayName(name) } },
+      { new: true, upsert: true, setDefaultsOnInsert: true, includeResultMetadata: true }
+    ).lean();
+    return { node: result.value, created: !result.lastErrorObject.updatedExisting };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return { node: await TaxonomyNode.findOne(filter).lean(), created: false };
+  }
+};
+
+// Map validated chapter rows onto the taxonomy. Each subject, class and unit
+// is matched to its entry case-insensitively and replaced by the entry's name;
+// missing entries are created when `create` is set and reported otherwise.
+// Returns { rows, errors, createdCount } where errors[i] lists the problems
+// of rows[i] (empty when it resolved)
+const resolveTaxonomy = async (rows, { create = true } = {}) => {
+  const nodes = new Map();
+  const remember = (node) => {
+    nodes.set(lookupKey(node.level, node.parent, node.name), node);
+    return node;
+  };
+
+  // Preload the branches the rows can touch, one level at a time
+  const subjects = await TaxonomyNode.find({
+    level: 'subject',
+    key: { $in: [...new Set(rows.map(row => normalizeName(row.subject)))] },
+  }).lean();
+  const classes = await TaxonomyNode.find({ level: 'class', parent: { $in: subjects.map(node => node._id) } }).lean();
+  const units = await TaxonomyNode.find({ level: 'unit', parent: { $in: classes.map(node => node._id) } }).lean();
+  [...subjects, ...classes, ...units].forEach(remember);
+
+  let createdCount = 0;
+  const resolved = [];
+  const errors = [];
+
+  for (const row of rows) {
+    const names = {};
+    const rowErrors = [];
+    let parent = null;
+
+    for (const level of LEVELS) {
+      let node = nodes.get(lookupKey(level, parent && parent._id, row[level]));
+      if (!node && create) {
+        const result = await findOrCreateNode(level, parent && parent._id, row[level]);
+        node = remember(result.node);
+        if (result.created) createdCount += 1;
+      }
+      if (!node) {
+        rowErrors.push(parent
+          ? `Unknown ${level} "${row[level]}" in ${parent.level} "${parent.name}"`
+          : `Unknown ${level} "${row[level]}"`);
+        break;
+      }
+      names[level] = node.name;
+      parent = node;
+    }
+
+    resolved.push(rowErrors.length > 0 ? row : { ...row, ...names });
+    errors.push(rowErrors);
+  }
+
+  if (createdCount > 0) await invalidateTaxonomyCache();
+
+  return { rows: resolved, errors, createdCount };
+};
+
+// The node and its ancestors, subject first
+const lineageOf = async (node) => {
+  const lineage = [node];
+  while (lineage[0].parent) {
+    const parent = await TaxonomyNode.findById(lineage[0].parent).lean();
+    if (!parent) break;
+    lineage.unshift(parent);
+  }
+  return lineage;
+};
+
+// Chapters filed under a node, e.g. { subject: 'Physics', class: 'Class 11' }
+const chapterFilterFor = async (node) => Object.fromEntries(
+  (await lineageOf(node)).map(entry => [entry.level, entry.name])
+);
+
+// Every entry as subjects -> classes -> units, in display order
+const getTaxonomyTree = async () => {
+  const nodes = await TaxonomyNode.find().sort({ order: 1, name: 1 }).lean();
+
+  const childrenOf = new Map();
+  nodes.forEach((node) => {
+    const key = String(node.parent || '');
+    if (!childrenOf.has(key)) childrenOf.set(key, []);
+    childrenOf.get(key).push(node);
+  });
+
+  const toBranch = (node) => {
+    const branch = { id: node._id, name: node.name, order: node.order };
+    const childrenKey = CHILDREN_KEYS[node.level];
+    if (childrenKey) {
+      branch[childrenKey] = (childrenOf.get(String(node._id)) || []).map(toBranch);
+    }
+    return branch;
+  };
+
+  return (childrenOf.get('') || [])
+    .filter(node => node.level === 'subject')
+    .map(toBranch);
+};
+
+// Sibling with the same normalised name, other than the node itself
+const findConflict = (level, parent, name, exceptId) => TaxonomyNode.exists({
+  level,
+  parent: parent || null,
+  key: normalizeName(name),
+  ...(exceptId ? { _id: { $ne: exceptId } } : {}),
+});
+
+const createNode = async (level, { name, parent, order }) => {
+  const parentLevel = TaxonomyNode.PARENT_LEVEL[level];
+  if (parentLevel) {
+    const parentNode = parent && await TaxonomyNode.exists({ _id: parent, level: parentLevel });
+    if (!parentNode) {
+      throw taxonomyError(`A ${level} needs an existing ${parentLevel} as its parent`, 400);
+    }
+  }
+
+  if (await findConflict(level, parentLevel ? parent : null, name)) {
+    throw taxonomyError(`${level} "${name}" already exists`, 409);
+  }
+
+  const node = await TaxonomyNode.create({
+    level,
+    name: displayName(name),
+    parent: parentLevel ? parent : null,
+    ...(order !== undefined ? { order } : {}),
+  });
+  await invalidateTaxonomyCache();
+  return node;
+};
+
+// Subject and class are part of a chapter's natural key (subject, class, chapter)
+const KEY_LEVELS = ['subject', 'class'];
+
+const naturalKey = ({ subject, class: className, chapter }) => JSON.stringify([subject, className, chapter]);
+
+// Chapters that would share a natural key with another chapter once their
+// `level` is renamed to `name` - each other, or chapters outside the rename
+const findRenameCollisions = async (level, chapters, name) => {
+  if (!KEY_LEVELS.includes(level) || chapters.length === 0) return [];
+
+  const renamed = chapters.map(({ subject, class: className, chapter }) => ({
+    subject,
+    class: className,
+    chapter,
+    [level]: name,
+  }));
+
+  const seen = new Set();
+  const collisions = renamed.filter((key) => {
+    const duplicate = seen.has(naturalKey(key));
+    seen.add(naturalKey(key));
+    return duplicate;
+  });
+  const others = await Chapter.find({ $or: renamed, _id: { $nin: chapters.map(chapter => chapter._id) } })
+    .select('subject class chapter')
+    .lean();
+
+  return [...collisions, ...others];
+};
+
+// Put every chapter's `level` back to what it was before a failed rename
+const restoreChapterNames = (level, chapters) => Chapter.bulkWrite(chapters.map(chapter => ({
+  updateOne: {
+    filter: { _id: chapter._id },
+    update: { $set: { [level]: chapter[level] } },
+  },
+})), { ordered: false });
+
+// Renames are copied onto every chapter filed under the node (deleted ones
+// included) and recorded as chapter revisions. A rename that would give two
+// chapters the same subject, class and chapter is refused, and a rename that
+// fails part way is rolled back.
+// Returns { node, renamedChapters }
+const updateNode = async (node, { name, order }, userId) => {
+  const update = {};
+  if (order !== undefined) update.order = order;
+
+  let chapters = [];
+  if (name !== undefined && displayName(name) !== node.name) {
+    if (await findConflict(node.level, node.parent, name, node._id)) {
+      throw taxonomyError(`${node.level} "${name}" already exists`, 409);
+    }
+    update.name = displayName(name);
+    update.key = normalizeName(name);
+
+    chapters = await Chapter.find(await chapterFilterFor(node)).collation(CASE_INSENSITIVE).lean();
+    const collisions = await findRenameCollisions(node.level, chapters, update.name);
+    if (collisions.length > 0) {
+      const [first] = collisions;
+      throw taxonomyError(
+        `Renaming ${node.level} "${node.name}" would give ${collisions.length} chapter(s) the same subject, `
+          + `class and chapter as another chapter (e.g. "${first.chapter}" in ${first.subject} / ${first.class})`,
+        409
+      );
+    }
+  }
+
+  let updated;
+  try {
+    updated = await TaxonomyNode.findByIdAndUpdate(node._id, { $set: update }, { new: true, runValidators: true }).lean();
+  } catch (error) {
+    if (error.code === 11000) throw taxonomyError(`${node.level} "${name}" already exists`, 409);
+    throw error;
+  }
+
+  if (chapters.length > 0) {
+    const ids = chapters.map(chapter => chapter._id);
+    await ensureBaselines(chapters);
+    try {
+      await Chapter.updateMany({ _id: { $in: ids } }, { $set: { [node.level]: updated.name } });
+    } catch (error) {
+      await restoreChapterNames(node.level, chapters);
+      await TaxonomyNode.updateOne({ _id: node._id }, { $set: { name: node.name, key: node.key } });
+      if (error.code === 11000) {
+        throw taxonomyError(`Renaming ${node.level} "${node.name}" clashes with another chapter; nothing was changed`, 409);
+      }
+      throw error;
+    }
+    await recordRevisions(await Chapter.find({ _id: { $in: ids } }).lean(), { action: 'taxonomy', userId });
+
+    try {
+      await cacheService.invalidateChapterCache();
+      await Promise.all(ids.map(id => cacheService.invalidateSingleChapterCache(id)));
+    } catch (cacheErr) {
+      console.warn('Cache invalidation failed:', cacheErr);
+    }
+  }
+
+  await invalidateTaxonomyCache();
+  return { node: updated, renamedChapters: chapters.length };
+};
+
+// Only entries without children and without chapters filed under them can go
+const deleteNode = async (node) => {
+  if (CHILDREN_KEYS[node.level] && await TaxonomyNode.exists({ parent: node._id })) {
+    throw taxonomyError(`Remove the ${CHILDREN_KEYS[node.level]} of ${node.level} "${node.name}" first`, 409);
+  }
+
+  const inUse = await Chapter.findOne({ ...(await chapterFilterFor(node)), ...notDeleted })
+    .collation(CASE_INSENSITIVE)
+    .select('_id')
+    .lean();
+  if (inUse) {
+    throw taxonomyError(`${node.level} "${node.name}" is used by chapters`, 409);
+  }
+
+  await TaxonomyNode.deleteOne({ _id: node._id });
+  await invalidateTaxonomyCache();
+};
+
+module.exports = {
+  createNode,
+  deleteNode,
+  findOrCreateNode,
+  getTaxonomyTree,
+  resolveTaxonomy,
+  updateNode,
+};
@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('../config/redis');
+
+// Refresh tokens are opaque "<familyId>.<secret>" strings stored (hashed) in
+// Redis. Every refresh rotates the token within its family; presenting a
+// token that was already rotated revokes the whole family, which also
+// rejects the access tokens issued to it (they carry the family id as `fam`).
+const REFRESH_TOKEN_TTL = (parseInt(process.env.JWT_REFRESH_EXPIRE_DAYS, 10) || 7) * 24 * 60 * 60;
+
+const keys = {
+  refresh: hash => `auth:refresh:${hash}`,
+  refreshUsed: hash => `auth:refresh:${hash}:used`,
+  familyRevoked: familyId => `auth:family:${familyId}:revoked`,
+  userFamilies: userId => `auth:user:${userId}:families`,
+  userValidAfter: userId => `auth:user:${userId}:validAfter`,
+  revokedAccess: jti => `auth:revoked:${jti}`,
+};
+
+const authError = (message, statusCode = 401) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const requireClient = () => {
+  const client = getRedisClient();
+  if (!client) {
+    throw authError('Session store unavailable, please try again later', 503);
+  }
+  return client;
+};
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const createRefreshToken = async (client, userId, familyId) => {
+  const refreshToken = `${familyId}.${crypto.randomBytes(32).toString('base64url')}`;
+
+  await client.multi()
+    .set(keys.refresh(hashToken(refreshToken)), JSON.stringify({ userId: String(userId), familyId }), 'EX', REFRESH_TOKEN_TTL)
+    .sadd(keys.userFamilies(userId), familyId)
+    .expire(keys.userFamilies(userId), REFRESH_TOKEN_TTL)
+    .exec();
+
+  return refreshToken;
+};
+
+// Access + refresh token pair; pass familyId to continue an existing session
+const issueTokens = async (user, familyId = crypto.randomUUID()) => {
+  const client = requireClient();
+  const refreshToken = await createRefreshToken(client, user._id, familyId);
+
+  return {
+    token: user.getSignedJwtToken({ familyId }),
+    refreshToken,
+  };
+};
+
+const revokeFamily = async (familyId) => {
+  const client = requireClient();
+  await client.set(keys.familyRevoked(familyId), '1', 'EX', REFRESH_TOKEN_TTL);
+};
+
+// Exchange a refresh token for a new pair. `loadUser(userId)` returns the user or null.
+const rotateRefreshToken = async (refreshToken, loadUser) => {
+  const client = requireClient();
+  const hash = hashToken(refreshToken);
+
+  const stored = await client.get(keys.refresh(hash));
+  if (!stored) {
+    throw authError('Invalid refresh token');
+  }
+
+  const { userId, familyId } = JSON.parse(stored);
+
+  if (await client.exists(keys.familyRevoked(familyId))) {
+    throw authError('Session has been revoked');
+  }
+
+  // Only the first caller gets to use a refresh token
+  const firstUse = await client.set(keys.refreshUsed(hash), '1', 'EX', REFRESH_TOKEN_TTL, 'NX');
+  if (!firstUse) {
+    await revokeFamily(familyId);
+    console.warn(`Refresh token reuse detected for user ${userId}, session family ${familyId} revoked`);
+    throw authError('Refresh token reuse detected, please log in again');
+  }
+
+  const user = await loadUser(userId);
+  if (!user) {
+    await revokeFamily(familyId);
+    throw authError('Invalid refresh token');
+  }
+
+  return { user, ...(await issueTokens(user, familyId)) };
+};
+
+// Family id of a refresh token, or null when it is not one we issued
+const getRefreshTokenFamily = async (refreshToken) => {
+  const client = requireClient();
+  const stored = await client.get(keys.refresh(hashToken(refreshToken)));
+  return stored ? JSON.parse(stored).familyId : null;
+};
+
+// Reject one access token until it would have expired anyway
+const revokeAccessToken = async ({ jti, exp }) => {
+  if (!jti || !exp) return;
+  const ttl = exp - Math.floor(Date.now() / 1000);
+  if (ttl <= 0) return;
+
+  const client = requireClient();
+  await client.set(keys.revokedAccess(jti), '1', 'EX', ttl);
+};
+
+// Log a user out everywhere: every family is revoked and older access tokens rejected
+const revokeAllSessions = async (userId) => {
+  const client = requireClient();
+  const familyIds = await client.smembers(keys.userFamilies(userId));
+
+  const pipeline = client.multi()
+    .set(keys.userValidAfter(userId), String(Math.floor(Date.now() / 1000)), 'EX', REFRESH_TOKEN_TTL)
+    .del(keys.userFamilies(userId));
+  familyIds.forEach((familyId) => {
+    pipeline.set(keys.familyRevoked(familyId), '1', 'EX', REFRESH_TOKEN_TTL);
+  });
+  await pipeline.exec();
+};
+
+// Checked by the auth middleware for every decoded access token. When Redis is
+// down the token is accepted, since it is still signed and short-lived.
+const isAccessTokenRevoked = async ({ id, jti, fam, iat }) => {
+  const client = getRedisClient();
+  if (!client) {
+    console.warn('Session store unavailable, skipping token revocation check');
+    return false;
+  }
+
+  const [revoked, familyRevoked, validAfter] = await client.mget(
+    keys.revokedAccess(jti || '-'),
+    keys.familyRevoked(fam || '-'),
+    keys.userValidAfter(id)
+  );
+
+  if (revoked || familyRevoked) return true;
+  return Boolean(validAfter) && iat < Number(validAfter);
+};
+
+module.exports = {
+  REFRESH_TOKEN_TTL,
+  getRefreshTokenFamily,
+  isAccessTokenRevoked,
+  issueTokens,
+  revokeAccessToken,
+  revokeAllSessions,
+  revokeFamily,
+  rotateRefreshToken,
+};
@@ -0,0 +1,196 @@
+const Chapter = require('../models/Chapter');
+const ChapterProgress = require('../models/ChapterProgress');
+const PracticeSession = require('../models/PracticeSession');
+const WeakChapterRules = require('../models/WeakChapterRules');
+const cacheService = require('./cacheService');
+const { ensureBaselines, recordRevisions } = require('./revisionService');
+const { notDeleted } = require('../utils/chapterQuery');
+const { evaluateWeakChapter, sameReasons } = require('../utils/weakChapterRules');
+
+const BATCH_SIZE = 500;
+
+// Only one recompute runs at a time in this process
+let running = false;
+
+const getRules = () => WeakChapterRules.findOneAndUpdate(
+  { key: 'default' },
+  { $setOnInsert: { key: 'default' } },
+  { new: true, upsert: true, setDefaultsOnInsert: true }
+);
+
+const updateRules = (rules, userId) => WeakChapterRules.findOneAndUpdate(
+  { key: 'default' },
+  { $set: { ...rules, updatedBy: userId } },
+  { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+);
+
+const setLastRun = lastRun => WeakChapterRules.updateOne({ key: 'default' }, { $set: { lastRun } });
+
+// Chapter id -> latest progress update or practice session on it, by anyone
+const lastActivity = async (chapterIds) => {
+  const latestBy = (Model, dateField) => Model.aggregate([
+    { $match: { chapter: { $in: chapterIds } } },
+    { $group: { _id: '$chapter', at: { $max: `$${dateField}` } } },
+  ]);
+  const [progress, sessions] = await Promise.all([
+    latestBy(ChapterProgress, 'updatedAt'),
+    latestBy(PracticeSession, 'practicedAt'),
+  ]);
+
+  const activity = new Map();
+  [...progress, ...sessions].forEach(({ _id, at }) => {
+    const key = String(_id);
+    if (!activity.has(key) || at > activity.get(key)) activity.set(key, at);
+  });
+  return activity;
+};
+
+// Write the new flags of one batch; only chapters whose flag or reasons changed
+// are touched, without bumping updatedAt (a recompute is not an edit). They get
+// weakEvaluatedAt instead, for whatever was built from the old flags.
+const applyBatch = async (batch, rules, years, userId) => {
+  const now = new Date();
+  const changed = [];
+  let flagged = 0;
+
+  const activity = rules.noRecentProgress.enabled
+    ? await lastActivity(batch.map(chapter => chapter._id))
+    : new Map();
+
+  batch.forEach((chapter) => {
+    const reasons = evaluateWeakChapter(chapter, rules, {
+      years,
+      now,
+      lastActivityAt: activity.get(String(chapter._id)),
+    });
+    if (reasons.length > 0) flagged += 1;
+
+    if (chapter.isWeakChapter !== reasons.length > 0 || !sameReasons(chapter.weakReasons, reasons)) {
+      changed.push({ chapter, reasons });
+    }
+  });
+
+  if (changed.length > 0) {
+    await ensureBaselines(changed.map(({ chapter }) => chapter));
+    await Chapter.bulkWrite(changed.map(({ chapter, reasons }) => ({
+      updateOne: {
+        filter: { _id: chapter._id },
+        update: { $set: { isWeakChapter: reasons.length > 0, weakReasons: reasons, weakEvaluatedAt: now } },
+        timestamps: false,
+      },
+    })), { ordered: false });
+    await recordRevisions(
+      changed.map(({ chapter, reasons }) => ({ ...chapter, isWeakChapter: reasons.length > 0 })),
+      { action: 'rules', userId }
+    );
+  }
+
+  return { flagged, changedIds: changed.map(({ chapter }) => chapter._id) };
+};
+
+const runRecompute = async (rules, userId) => {
+  const stats = { processed: 0, flagged: 0, changed: 0 };
+  const startedAt = new Date();
+
+  try {
+    const years = await Chapter.examYears(notDeleted);
+    const cursor = Chapter.find(notDeleted).lean().cursor({ batchSize: BATCH_SIZE });
+    const changedIds = [];
+
+    let batch = [];
+    const flush = async () => {
+      const result = await applyBatch(batch, rules, years, userId);
+      stats.processed += batch.length;
+      stats.flagged += result.flagged;
+      stats.changed += result.changedIds.length;
+      changedIds.push(...result.changedIds);
+      batch = [];
+    };
+
+    for await (const chapter of cursor) {
+      batch.push(chapter);
+      if (batch.length >= BATCH_SIZE) await flush();
+    }
+    if (batch.length > 0) await flush();
+
+    if (changedIds.length > 0) {
+      try {
+        await cacheService.invalidateChapterCache();
+        await Promise.all(changedIds.map(id => cacheService.invalidateSingleChapterCache(id)));
+      } catch (cacheErr) {
+        console.warn('Cache invalidation failed:', cacheErr);
+      }
+    }
+
+    await setLastRun({ status: 'completed', startedAt, finishedAt: new Date(), ...stats });
+    console.log(`Weak chapter recompute: ${stats.flagged} flagged, ${stats.changed} changed of ${stats.processed}`);
+  } catch (error) {
+    console.error('Weak chapter recompute failed:', error);
+    await setLastRun({ status: 'failed', startedAt, finishedAt: new Date(), ...stats, error: error.message });
+  } finally {
+    running = false;
+  }
+};
+
+// Start a background recompute with the current rules. Resolves to the
+// lastRun state; rejects with a 409 error if one is already running.
+const startRecompute = async ({ userId } = {}) => {
+  if (running) {
+    const error = new Error('A weak chapter recompute is already running');
+    error.statusCode = 409;
+    throw error;
+  }
+  running = true;
+
+  try {
+    const rules = await getRules();
+    if (!rules.enabled) {
+      const error = new Error('Weak chapter rules are disabled');
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const lastRun = { status: 'running', startedAt: new Date() };
+    await setLastRun(lastRun);
+    setImmediate(() => runRecompute(rules.toObject(), userId));
+    return lastRun;
+  } catch (error) {
+    running = false;
+    throw error;
+  }
+};
+
+// Re-evaluate the chapters a write just touched, so their flag never waits
+// for the next recompute. While the rules are disabled only chapters with an
+// isWeakChapterOverride are touched. Returns the ids whose flag or reasons changed.
+const refreshWeakFlags = async (chapterIds, { userId } = {}) => {
+  if (chapterIds.length === 0) return [];
+
+  const rules = await getRules();
+  const filter = { _id: { $in: chapterIds }, ...notDeleted };
+  if (!rules.enabled) filter.isWeakChapterOverride = { $ne: null };
+
+  const [years, chapters] = await Promise.all([
+    Chapter.examYears(notDeleted),
+    Chapter.find(filter).lean(),
+  ]);
+  const { changedIds } = await applyBatch(chapters, rules.toObject(), years, userId);
+  return changedIds;
+};
+
+// A run left 'running' by a previous process can never finish
+const failInterruptedRecompute = async () => {
+  await WeakChapterRules.updateOne(
+    { key: 'default', 'lastRun.status': 'running' },
+    { $set: { 'lastRun.status': 'failed', 'lastRun.error': 'Interrupted by server restart', 'lastRun.finishedAt': new Date() } }
+  );
+};
+
+module.exports = {
+  BATCH_SIZE,
+  failInterruptedRecompute,
+  getRules,
+  refreshWeakFlags,
+  startRecompute,
+  updateRules,
+};
@@ -0,0 +1,88 @@
+// Serializers for chapter exports. Every format writes the fields the upload
+// endpoint accepts, so an export can be uploaded again unchanged.
+
+const { FORMATS } = require('./chapterParsers');
+
+const EXPORT_FIELDS = [
+  'subject',
+  'chapter',
+  'class',
+  'unit',
+  'yearWiseQuestionCount',
+  'questionSolved',
+  'status',
+  'isWeakChapter',
+  'isWeakChapterOverride',
+];
+
+const toExportRow = (doc) => {
+  const counts = doc.yearWiseQuestionCount || {};
+  return {
+    subject: doc.subject,
+    chapter: doc.chapter,
+    class: doc.class,
+    unit: doc.unit,
+    yearWiseQuestionCount: Object.fromEntries(Object.keys(counts).sort().map(year => [year, counts[year]])),
+    questionSolved: doc.questionSolved,
+    status: doc.status,
+    isWeakChapter: doc.isWeakChapter,
+    isWeakChapterOverride: doc.isWeakChapterOverride,
+  };
+};
+
+// Quote fields the CSV parser would otherwise split or trim
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One yearWiseQuestionCount.<year> column per year, in the parser's dotted style
+const csvColumns = years => EXPORT_FIELDS.flatMap(field => (
+  field === 'yearWiseQuestionCount' ? years.map(year => `${field}.${year}`) : [field]
+));
+
+// { contentType, extension, start(), row(row, index), end() } per format; csv needs
+// the full year list up front for its header
+const createSerializer = (format, { years = [] } = {}) => {
+  const contentType = FORMATS[format].mimetypes[0];
+
+  if (format === 'csv') {
+    const columns = csvColumns(years);
+    return {
+      contentType,
+      extension: 'csv',
+      start: () => `${columns.join(',')}\n`,
+      row: row => `${columns.map((column) => {
+        const [field, year] = column.split('.');
+        return escapeCsv(year ? row[field][year] : row[field]);
+      }).join(',')}\n`,
+      end: () => '',
+    };
+  }
+
+  if (format === 'ndjson') {
+    return {
+      contentType,
+      extension: 'ndjson',
+      start: () => '',
+      row: row => `${JSON.stringify(row)}\n`,
+      end: () => '',
+    };
+  }
+
+  return {
+    contentType,
+    extension: 'json',
+    start: () => '[',
+    row: (row, index) => `${index === 0 ? '\n' : ',\n'}${JSON.stringify(row)}`,
+    end: count => (count === 0 ? ']\n' : '\n]\n'),
+  };
+};
+
+module.exports = {
+  EXPORT_FIELDS,
+  createSerializer,
+  escapeCsv,
+  toExportRow,
+};
@@ -0,0 +1,32 @@
+// Keys that identify a chapter by its subject, class and chapter name, as
+// compared by uploads.
+
+// Names match case- and whitespace-insensitively: " class  11" is "Class 11"
+const normalizeName = name => String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+
+const naturalKey = (chapter) => {
+  const part = (value) => (typeof value === 'string' ? value.trim() : value);
+  return JSON.stringify([part(chapter.subject), part(chapter.class), part(chapter.chapter)]);
+};
+
+// Subject and class compared the way the taxonomy matches names, so rows
+// renamed to their taxonomy spelling still match the chapters they came from
+const looseKey = (chapter) => {
+  const part = (value) => (typeof value === 'string' ? normalizeName(value) : value);
+  const name = typeof chapter.chapter === 'string' ? chapter.chapter.trim() : chapter.chapter;
+  return JSON.stringify([part(chapter.subject), part(chapter.class), name]);
+};
+
+// The chapters no uploaded row names. Every row counts, valid or not, so a
+// chapter whose corrected row failed validation is kept rather than removed.
+const missingChapters = (chapters, rows) => {
+  const uploadedKeys = new Set(rows.filter(row => row && typeof row === 'object').map(looseKey));
+  return chapters.filter(chapter => !uploadedKeys.has(looseKey(chapter)));
+};
+
+module.exports = {
+  looseKey,
+  missingChapters,
+  naturalKey,
+  normalizeName,
+};
@@ -0,0 +1,232 @@
+// Parsers for chapter uploads. Each returns { rows, lines } where lines[i] is
+// the 1-based source line that rows[i] started on (null when unknown).
+
+const FORMATS = {
+  json: {
+    extensions: ['.json'],
+    mimetypes: ['application/json'],
+  },
+  csv: {
+    extensions: ['.csv'],
+    mimetypes: ['text/csv', 'application/csv', 'application/vnd.ms-excel'],
+  },
+  ndjson: {
+    extensions: ['.ndjson', '.jsonl'],
+    mimetypes: ['application/x-ndjson', 'application/ndjson', 'application/jsonl'],
+  },
+};
+
+const parseError = (message, line) => {
+  const error = new Error(line ? `Line ${line}: ${message}` : message);
+  error.statusCode = 400;
+  error.line = line;
+  return error;
+};
+
+// Work out the format from a file name and/or mimetype, or null if unsupported
+const detectFormat = ({ filename, mimetype } = {}) => {
+  const name = (filename || '').toLowerCase();
+  const type = (mimetype || '').split(';')[0].trim().toLowerCase();
+
+  const byExtension = Object.keys(FORMATS)
+    .find(format => FORMATS[format].extensions.some(ext => name.endsWith(ext)));
+  if (byExtension) return byExtension;
+
+  return Object.keys(FORMATS)
+    .find(format => FORMATS[format].mimetypes.includes(type)) || null;
+};
+
+// Line each element of a top-level JSON array starts on. Only called once
+// JSON.parse has accepted the content, so it just tracks strings and nesting.
+const arrayElementLines = (content) => {
+  const lines = [];
+  let line = 1;
+  let depth = 0;
+  let inString = false;
+  let expectElement = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (char === '\n') {
+      line++;
+    } else if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (!/\s/.test(char)) {
+      if (depth === 1 && expectElement && char !== ']') {
+        lines.push(line);
+        expectElement = false;
+      }
+      if (char === '"') {
+        inString = true;
+      } else if (char === '[' || char === '{') {
+        depth++;
+        if (depth === 1) expectElement = true;
+      } else if (char === ']' || char === '}') {
+        depth--;
+      } else if (char === ',' && depth === 1) {
+        expectElement = true;
+      }
+    }
+  }
+
+  return lines;
+};
+
+const parseJson = (content) => {
+  let rows;
+  try {
+    rows = JSON.parse(content);
+  } catch (error) {
+    throw parseError(`Invalid JSON: ${error.message}`);
+  }
+  return { rows, lines: Array.isArray(rows) ? arrayElementLines(content) : [] };
+};
+
+const parseNdjson = (content) => {
+  const rows = [];
+  const lines = [];
+
+  content.split(/\r?\n/).forEach((text, i) => {
+    if (!text.trim()) return;
+    try {
+      rows.push(JSON.parse(text));
+      lines.push(i + 1);
+    } catch (error) {
+      throw parseError(`Invalid JSON: ${error.message}`, i + 1);
+    }
+  });
+
+  return { rows, lines };
+};
+
+// RFC 4180 records: quoted fields may contain commas, doubled quotes and newlines
+const readCsvRecords = (content) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    records.push({ line: recordLine, fields: record });
+    record = [];
+  };
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw parseError('Unterminated quoted field', recordLine);
+  }
+  if (field !== '' || record.length > 0) {
+    endRecord();
+  }
+
+  // Skip blank lines
+  return records.filter(({ fields }) => fields.length > 1 || fields[0].trim() !== '');
+};
+
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+// Assign `value` at a dotted path such as yearWiseQuestionCount.2019
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  let node = target;
+  keys.slice(0, -1).forEach((key) => {
+    if (typeof node[key] !== 'object' || node[key] === null) node[key] = {};
+    node = node[key];
+  });
+  node[keys[keys.length - 1]] = value;
+};
+
+// Header row names the columns; nested fields use dotted names. Empty cells are
+// left out so Joi reports them as missing (or applies its default). Values stay
+// strings and are converted by the Joi schema.
+const parseCsv = (content) => {
+  const records = readCsvRecords(content.replace(/^\uFEFF/, ''));
+  if (records.length === 0) {
+    return { rows: [], lines: [] };
+  }
+
+  const [header, ...body] = records;
+  const columns = header.fields.map(name => name.trim());
+  if (columns.some(name => !name)) {
+    throw parseError('Header contains an empty column name', header.line);
+  }
+  const unsafe = columns.find(name => name.split('.').some(key => UNSAFE_KEYS.includes(key)));
+  if (unsafe) {
+    throw parseError(`Invalid column name: ${unsafe}`, header.line);
+  }
+
+  const rows = [];
+  const lines = [];
+  body.forEach(({ line, fields }) => {
+    if (fields.length !== columns.length) {
+      throw parseError(`Expected ${columns.length} columns but found ${fields.length}`, line);
+    }
+
+    const row = {};
+    columns.forEach((column, i) => {
+      const value = fields[i].trim();
+      if (value !== '') setPath(row, column, value);
+    });
+    rows.push(row);
+    lines.push(line);
+  });
+
+  return { rows, lines };
+};
+
+const PARSERS = {
+  json: parseJson,
+  csv: parseCsv,
+  ndjson: parseNdjson,
+};
+
+const parseChapters = (content, format) => {
+  const parser = PARSERS[format];
+  if (!parser) {
+    throw parseError(`Unsupported format: ${format}`);
+  }
+  return parser(content);
+};
+
+module.exports = {
+  FORMATS,
+  detectFormat,
+  parseChapters,
+  parseCsv,
+  parseJson,
+  parseNdjson,
+};
@@ -0,0 +1,104 @@
+// Chapter study priority. Each factor is scaled to 0..1 and weighted; the
+// score is 0..100. Chapters are plain objects carrying the caller's progress
+// (status, isWeakChapter, questionSolved) and yearWiseQuestionCount.
+
+const DEFAULT_WEIGHTS = {
+  frequency: 0.4, // questions asked in the recent exams
+  weak: 0.25,     // flagged as a weak chapter
+  status: 0.15,   // Not Started > In Progress > Completed
+  unsolved: 0.2,  // questions not solved yet
+};
+
+const STATUS_FACTORS = {
+  'Not Started': 1,
+  'In Progress': 0.6,
+  Completed: 0,
+};
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const sumCounts = (counts, years) => years.reduce((sum, year) => sum + (Number(counts[year]) || 0), 0);
+
+// years: every exam year in use, ascending; the last recentYears of them are "recent"
+// Returns the chapters sorted by score (highest first), each with
+// { score, factors: { recentQuestions, latestQuestions, totalQuestions, solved, unsolved, weak, status } }
+const scoreChapters = (chapters, { years = [], recentYears = 3, weights = DEFAULT_WEIGHTS } = {}) => {
+  const recent = years.slice(-recentYears);
+
+  const measured = chapters.map((chapter) => {
+    const counts = chapter.yearWiseQuestionCount || {};
+    const totalQuestions = sumCounts(counts, Object.keys(counts));
+    return {
+      chapter,
+      factors: {
+        recentQuestions: sumCounts(counts, recent),
+        latestQuestions: sumCounts(counts, recent.slice(-1)),
+        totalQuestions,
+        solved: chapter.questionSolved || 0,
+        unsolved: Math.max(0, totalQuestions - (chapter.questionSolved || 0)),
+        weak: Boolean(chapter.isWeakChapter),
+        status: chapter.status,
+      },
+    };
+  });
+
+  const maxRecent = Math.max(0, ...measured.map(({ factors }) => factors.recentQuestions));
+  const maxUnsolved = Math.max(0, ...measured.map(({ factors }) => factors.unsolved));
+  const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0) || 1;
+
+  return measured
+    .map(({ chapter, factors }) => {
+      const scaled = {
+        frequency: maxRecent > 0 ? factors.recentQuestions / maxRecent : 0,
+        weak: factors.weak ? 1 : 0,
+        status: STATUS_FACTORS[factors.status] ?? 0,
+        unsolved: maxUnsolved > 0 ? factors.unsolved / maxUnsolved : 0,
+      };
+      const weighted = Object.keys(scaled)
+        .reduce((sum, factor) => sum + (weights[factor] || 0) * scaled[factor], 0);
+
+      return {
+        ...chapter,
+        score: round((weighted / totalWeight) * 100),
+        factors,
+      };
+    })
+    .sort((a, b) => b.score - a.score || b.factors.unsolved - a.factors.unsolved);
+};
+
+const times = count => `${count} ${count === 1 ? 'time' : 'times'}`;
+
+const describeFrequency = ({ recentQuestions, latestQuestions }, recent) => {
+  if (recent.length === 0) return 'no exam data';
+
+  const latest = recent[recent.length - 1];
+  const span = recent.length > 1 ? `${recent[0]}-${latest}` : latest;
+  if (recentQuestions === 0) return `not asked in ${span}`;
+  if (latestQuestions === recentQuestions) return `asked ${times(latestQuestions)} in ${latest}`;
+  if (latestQuestions === 0) return `asked ${times(recentQuestions)} in ${span}, none in ${latest}`;
+  return `asked ${times(latestQuestions)} in ${latest} (${recentQuestions} in ${span})`;
+};
+
+// Human-readable reasons behind a scored chapter, e.g.
+// ['asked 10 times in 2025', 'marked weak', 'not started', '0 of 24 solved'].
+// Factors with no weight are left out.
+const explainPriority = ({ factors }, { years = [], recentYears = 3, weights = DEFAULT_WEIGHTS } = {}) => {
+  const reasons = [];
+  if (weights.frequency) reasons.push(describeFrequency(factors, years.slice(-recentYears)));
+  if (weights.weak && factors.weak) reasons.push('marked weak');
+  if (weights.status && factors.status) reasons.push(factors.status.toLowerCase());
+  if (weights.unsolved) {
+    reasons.push(`${factors.solved} of ${factors.totalQuestions} solved`);
+  }
+  return reasons;
+};
+
+module.exports = {
+  DEFAULT_WEIGHTS,
+  STATUS_FACTORS,
+  explainPriority,
+  scoreChapters,
+};
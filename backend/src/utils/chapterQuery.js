@@ -0,0 +1,235 @@
+const mongoose = require('mongoose');
+const ChapterProgress = require('../models/ChapterProgress');
+
+// Soft-deleted chapters are hidden from every read path
+const notDeleted = { isDeleted: { $ne: true } };
+
+// Fields that can be sorted on or selected in the chapter list
+const SORTABLE_FIELDS = [
+  'subject',
+  'chapter',
+  'class',
+  'unit',
+  'questionSolved',
+  'status',
+  'isWeakChapter',
+  'totalQuestions',
+  'createdAt',
+  'updatedAt',
+];
+const SELECTABLE_FIELDS = [...SORTABLE_FIELDS, 'yearWiseQuestionCount'];
+
+// A single year's count, e.g. yearWiseQuestionCount.2024
+const YEAR_FIELD_PATTERN = /^yearWiseQuestionCount\.\d{4}$/;
+
+const isSortableField = (field) => SORTABLE_FIELDS.includes(field) || YEAR_FIELD_PATTERN.test(field);
+const isSelectableField = (field) => SELECTABLE_FIELDS.includes(field) || YEAR_FIELD_PATTERN.test(field);
+
+// Sum of every year in yearWiseQuestionCount, for aggregation stages
+const totalQuestionsExpression = {
+  $sum: {
+    $map: {
+      input: { $objectToArray: { $ifNull: ['$yearWiseQuestionCount', {}] } },
+      as: 'year',
+      in: '$$year.v',
+    },
+  },
+};
+
+// Build a Mongo filter from the chapter filters accepted by validateQuery
+const buildChapterFilter = ({ class: className, unit, status, weakChapters, subject } = {}) => {
+  const filter = { ...notDeleted };
+  if (className) filter.class = className;
+  if (unit) filter.unit = unit;
+  if (status) filter.status = status;
+  if (subject) filter.subject = subject;
+  if (weakChapters) filter.isWeakChapter = weakChapters === 'true';
+  return filter;
+};
+
+// Move the per-user fields (status, isWeakChapter, ...) out of a chapter filter
+const splitProgressFilter = (filter) => {
+  const chapterFilter = { ...filter };
+  const progressFilter = {};
+  ChapterProgress.PROGRESS_FIELDS.forEach((field) => {
+    if (field in chapterFilter) {
+      progressFilter[field] = chapterFilter[field];
+      delete chapterFilter[field];
+    }
+  });
+  return { chapterFilter, progressFilter };
+};
+
+// Where the user has no value of their own: the ChapterProgress default, or
+// the chapter's own field when that default is null (isWeakChapter)
+const progressFallback = field => (ChapterProgress.DEFAULT_PROGRESS[field] === null
+  ? `$${field}`
+  : ChapterProgress.DEFAULT_PROGRESS[field]);
+
+// Replace the chapter's progress fields with the user's own progress record,
+// falling back as above. weakReasons only stay while the derived flag applies.
+const buildProgressStages = (userId) => [
+  {
+    $lookup: {
+      from: ChapterProgress.collection.name,
+      let: { chapterId: '$_id' },
+      pipeline: [
+        {
+          $match: {
+            $expr: {
+              $and: [
+                { $eq: ['$chapter', '$$chapterId'] },
+                { $eq: ['$user', new mongoose.Types.ObjectId(String(userId))] },
+              ],
+            },
+          },
+        },
+        { $limit: 1 },
+      ],
+      as: 'progress',
+    },
+  },
+  { $unwind: { path: '$progress', preserveNullAndEmptyArrays: true } },
+  {
+    $addFields: {
+      ...Object.fromEntries(ChapterProgress.PROGRESS_FIELDS.map(field => [
+        field,
+        { $ifNull: [`$progress.${field}`, progressFallback(field)] },
+      ])),
+      weakReasons: {
+        $cond: [{ $eq: [{ $ifNull: ['$progress.isWeakChapter', null] }, null] }, '$weakReasons', []],
+      },
+    },
+  },
+  { $project: { progress: 0 } },
+];
+
+// Stages that select the chapters matching `filter`, with the caller's progress
+// merged in when a user id is given
+const buildMatchStages = (filter, userId) => {
+  if (!userId) return [{ $match: filter }];
+
+  const { chapterFilter, progressFilter } = splitProgressFilter(filter);
+  return [
+    { $match: chapterFilter },
+    ...buildProgressStages(userId),
+    ...(Object.keys(progressFilter).length > 0 ? [{ $match: progressFilter }] : []),
+  ];
+};
+
+// "-totalQuestions,chapter" -> { totalQuestions: -1, chapter: 1, _id: -1 }
+// _id is always the last key so pages are stable when values tie
+const buildSort = (sort = '-createdAt') => {
+  const spec = {};
+  sort.split(',').forEach((key) => {
+    const descending = key.startsWith('-');
+    spec[descending ? key.slice(1) : key] = descending ? -1 : 1;
+  });
+  if (!('_id' in spec)) spec._id = -1;
+  return spec;
+};
+
+// "chapter,status" -> { chapter: 1, status: 1 }; _id is always returned
+const buildProjection = (fields) => {
+  if (!fields) return null;
+  return Object.fromEntries(fields.split(',').map(field => [field, 1]));
+};
+
+// Sort key values, missing treated as null to match Mongo's sort order
+const sortValuesExpression = (sortSpec) => Object.keys(sortSpec)
+  .map(field => ({ $ifNull: [`$${field}`, null] }));
+
+// Dates and ObjectIds are tagged so they survive the JSON round trip
+const encodeValue = (value) => {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+  return value;
+};
+
+const decodeValue = (value) => {
+  if (value && typeof value === 'object') {
+    if (typeof value.$date === 'string') return new Date(value.$date);
+    if (typeof value.$oid === 'string' && mongoose.Types.ObjectId.isValid(value.$oid)) {
+      return new mongoose.Types.ObjectId(value.$oid);
+    }
+    throw new Error('Unsupported cursor value');
+  }
+  return value;
+};
+
+// Opaque cursor: the sort it was issued for plus the last row's sort values
+const encodeCursor = (sort, values) => Buffer
+  .from(JSON.stringify({ sort, values: values.map(encodeValue) }))
+  .toString('base64url');
+
+// Returns { sort, values } or null if the cursor is malformed
+const decodeCursor = (cursor) => {
+  try {
+    const { sort, values } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof sort !== 'string' || !Array.isArray(values)) return null;
+    return { sort, values: values.map(decodeValue) };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Rows after `value` on one sort key. Only single years can be missing; those
+// sort lowest, so they are matched with null ($gt/$lt never match null).
+const afterValue = (field, direction, value) => {
+  if (value === null) {
+    // Ascending: every non-null value comes later; descending: nothing does
+    return direction === 1 ? { [field]: { $ne: null } } : null;
+  }
+  if (direction === 1) return { [field]: { $gt: value } };
+  return YEAR_FIELD_PATTERN.test(field)
+    ? { $or: [{ [field]: { $lt: value } }, { [field]: null }] }
+    : { [field]: { $lt: value } };
+};
+
+// Rows strictly after `values` in `sortSpec` order, as a plain filter on the
+// stored fields so an index on the sort keys can serve it:
+// (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ... with > flipped to < for descending keys
+const buildKeysetMatch = (sortSpec, values) => {
+  const fields = Object.keys(sortSpec);
+  const branches = fields.map((field, i) => {
+    const after = afterValue(field, sortSpec[field], values[i]);
+    if (!after) return null;
+    const equalities = Object.fromEntries(fields.slice(0, i).map((name, j) => [name, values[j]]));
+    return { ...equalities, ...after };
+  }).filter(Boolean);
+
+  return { $or: branches };
+};
+
+// buildMatchStages for the page after `values`. The keyset joins the first
+// $match unless it compares the caller's own progress, which only exists
+// after the overlay.
+const buildPageMatchStages = (filter, userId, sortSpec, values) => {
+  const keyset = buildKeysetMatch(sortSpec, values);
+  const [first, ...rest] = buildMatchStages(filter, userId);
+  const onProgress = userId && Object.keys(sortSpec).some(field => ChapterProgress.PROGRESS_FIELDS.includes(field));
+
+  return onProgress
+    ? [first, ...rest, { $match: keyset }]
+    : [{ $match: { $and: [first.$match, keyset] } }, ...rest];
+};
+
+module.exports = {
+  SELECTABLE_FIELDS,
+  SORTABLE_FIELDS,
+  buildChapterFilter,
+  buildKeysetMatch,
+  buildMatchStages,
+  buildPageMatchStages,
+  buildProgressStages,
+  buildProjection,
+  buildSort,
+  decodeCursor,
+  encodeCursor,
+  isSelectableField,
+  isSortableField,
+  notDeleted,
+  sortValuesExpression,
+  splitProgressFilter,
+  totalQuestionsExpression,
+};
@@ -0,0 +1,113 @@
+// Typo-tolerant token matching used to rank and highlight chapter search results.
+
+const tokenize = (text) => (String(text || '').toLowerCase().match(/[a-z0-9]+/g) || []);
+
+// Optimal string alignment distance (Levenshtein plus adjacent transpositions),
+// so "thermodynamcis" is one edit away from "thermodynamics"
+const editDistance = (a, b) => {
+  const rows = a.length + 1;
+  const cols = b.length + 1;
+  const d = Array.from({ length: rows }, (_, i) => {
+    const row = new Array(cols).fill(0);
+    row[0] = i;
+    return row;
+  });
+  for (let j = 0; j < cols; j++) d[0][j] = j;
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[rows - 1][cols - 1];
+};
+
+// Longer words tolerate more typos
+const allowedEdits = (token) => {
+  if (token.length <= 3) return 0;
+  if (token.length <= 6) return 1;
+  return 2;
+};
+
+// How well a query token matches a word, from 0 (no match) to 1 (exact)
+const tokenScore = (token, word) => {
+  if (token === word) return 1;
+  if (token.length >= 3 && word.startsWith(token)) return 0.9;
+  if (word.length >= 4 && token.startsWith(word)) return 0.8;
+
+  const edits = allowedEdits(token);
+  if (edits === 0 || Math.abs(token.length - word.length) > edits) return 0;
+
+  const distance = editDistance(token, word);
+  return distance <= edits ? 0.75 - (distance - 1) * 0.15 : 0;
+};
+
+const bestWordScore = (token, words) => words.reduce(
+  (best, word) => Math.max(best, tokenScore(token, word)),
+  0
+);
+
+// fields: { name: { text, weight } }
+// Returns { score, matchedTokens } where each query token counts once, at its
+// best weighted match across the fields
+const scoreFields = (queryTokens, fields) => {
+  const fieldWords = Object.values(fields).map(({ text, weight }) => ({
+    words: tokenize(text),
+    weight,
+  }));
+
+  let score = 0;
+  let matchedTokens = 0;
+  queryTokens.forEach((token) => {
+    const best = fieldWords.reduce(
+      (max, { words, weight }) => Math.max(max, bestWordScore(token, words) * weight),
+      0
+    );
+    if (best > 0) {
+      matchedTokens += 1;
+      score += best;
+    }
+  });
+
+  return { score, matchedTokens };
+};
+
+const escapeHtml = (text) => text.replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+}[char]));
+
+// HTML-escaped text with every word that matches a query token wrapped in
+// <mark> tags; null when nothing matches
+const highlight = (text, queryTokens) => {
+  if (!text) return null;
+
+  let matched = false;
+  // split with a capture group puts the words at the odd positions
+  const marked = String(text).split(/([A-Za-z0-9]+)/).map((part, i) => {
+    if (i % 2 === 0) return escapeHtml(part);
+
+    if (queryTokens.some(token => tokenScore(token, part.toLowerCase()) > 0)) {
+      matched = true;
+      return `<mark>${part}</mark>`;
+    }
+    return part;
+  }).join('');
+
+  return matched ? marked : null;
+};
+
+module.exports = {
+  editDistance,
+  highlight,
+  scoreFields,
+  tokenScore,
+  tokenize,
+};
@@ -0,0 +1,92 @@
+// Daily streaks and weekly totals from per-day practice totals. Days are
+// 'YYYY-MM-DD' strings in the caller's time zone; weeks start on Monday.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 'en-CA' formats dates as YYYY-MM-DD
+const dayInZone = (date, timeZone) => new Intl.DateTimeFormat('en-CA', {
+  timeZone,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+}).format(new Date(date));
+
+const isValidTimeZone = (timeZone) => {
+  try {
+    dayInZone(Date.now(), timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const dayNumber = day => Math.round(Date.parse(`${day}T00:00:00Z`) / DAY_MS);
+const fromDayNumber = number => new Date(number * DAY_MS).toISOString().slice(0, 10);
+
+// Monday of the week containing `day`
+const weekStart = (day) => {
+  const number = dayNumber(day);
+  // 1970-01-01 was a Thursday, so Monday-based weekday = (number + 3) % 7
+  return fromDayNumber(number - ((number + 3) % 7));
+};
+
+// days: practised days, ascending and unique. The current streak is still
+// alive when the last practice was yesterday.
+const computeStreaks = (days, today) => {
+  let longest = 0;
+  let run = 0;
+  days.forEach((day, i) => {
+    run = i > 0 && dayNumber(day) - dayNumber(days[i - 1]) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+
+  const lastPracticeDate = days.length > 0 ? days[days.length - 1] : null;
+  const sinceLast = lastPracticeDate ? dayNumber(today) - dayNumber(lastPracticeDate) : null;
+
+  return {
+    current: sinceLast !== null && sinceLast <= 1 ? run : 0,
+    longest,
+    lastPracticeDate,
+    practicedToday: sinceLast === 0,
+  };
+};
+
+const emptyTotals = () => ({ sessions: 0, attempted: 0, correct: 0, timeSpentMinutes: 0 });
+
+const accuracy = ({ attempted, correct }) => (attempted > 0 ? Math.round((correct / attempted) * 10000) / 100 : 0);
+
+// dailyTotals: [{ day, sessions, attempted, correct, timeSpentMinutes }].
+// Returns the last `weeks` weeks up to the one containing `today`, oldest
+// first, with empty weeks included.
+const weeklyTotals = (dailyTotals, { today, weeks }) => {
+  const currentWeek = dayNumber(weekStart(today));
+  const byWeek = new Map(Array.from({ length: weeks }, (_, i) => [
+    fromDayNumber(currentWeek - (weeks - 1 - i) * 7),
+    { ...emptyTotals(), daysPracticed: 0 },
+  ]));
+
+  dailyTotals.forEach(({ day, sessions, attempted, correct, timeSpentMinutes }) => {
+    const totals = byWeek.get(weekStart(day));
+    if (!totals) return;
+    totals.sessions += sessions;
+    totals.attempted += attempted;
+    totals.correct += correct;
+    totals.timeSpentMinutes += timeSpentMinutes;
+    totals.daysPracticed += 1;
+  });
+
+  return [...byWeek.entries()].map(([start, totals]) => ({
+    weekStart: start,
+    ...totals,
+    accuracy: accuracy(totals),
+  }));
+};
+
+module.exports = {
+  accuracy,
+  computeStreaks,
+  dayInZone,
+  isValidTimeZone,
+  weekStart,
+  weeklyTotals,
+};
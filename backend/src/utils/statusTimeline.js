@@ -0,0 +1,39 @@
+const { STATUSES } = require('../config/statusWorkflow');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Milliseconds spent in each status. `changes` are the chapter's status changes
+// sorted by changedAt; before the first one the chapter was in its `from`
+// status, starting at createdAt.
+const timeInStatus = ({ createdAt, status }, changes, now = new Date()) => {
+  const durations = Object.fromEntries(STATUSES.map(name => [name, 0]));
+  let current = changes.length > 0 ? changes[0].from : status;
+  let since = new Date(createdAt);
+
+  changes.forEach((change) => {
+    const changedAt = new Date(change.changedAt);
+    durations[current] += Math.max(0, changedAt - since);
+    current = change.to;
+    since = changedAt;
+  });
+  durations[current] += Math.max(0, now - since);
+
+  return durations;
+};
+
+const toDays = ms => Math.round((ms / DAY_MS) * 100) / 100;
+
+// { status: days } for a single timeline
+const durationsInDays = durations => Object.fromEntries(STATUSES.map(name => [name, toDays(durations[name])]));
+
+// { status: { totalDays, averageDays } } from summed durations over `count` chapters
+const summarizeDurations = (durations, count) => Object.fromEntries(STATUSES.map(name => [name, {
+  totalDays: toDays(durations[name]),
+  averageDays: count > 0 ? toDays(durations[name] / count) : 0,
+}]));
+
+module.exports = {
+  durationsInDays,
+  summarizeDurations,
+  timeInStatus,
+};
@@ -0,0 +1,88 @@
+// Day-by-day study schedule from prioritised chapters. Dates are UTC calendar
+// days written as YYYY-MM-DD.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_PLAN_DAYS = 366;
+
+const toDay = date => new Date(date).toISOString().slice(0, 10);
+
+const addDays = (day, count) => toDay(new Date(`${day}T00:00:00Z`).getTime() + count * DAY_MS);
+
+// Every study day from startDate up to (not including) the exam day
+const studyDays = (startDate, examDate) => {
+  const start = toDay(startDate);
+  const count = Math.round((new Date(`${toDay(examDate)}T00:00:00Z`) - new Date(`${start}T00:00:00Z`)) / DAY_MS);
+  return Array.from({ length: Math.max(0, Math.min(count, MAX_PLAN_DAYS)) }, (_, i) => addDays(start, i));
+};
+
+// Hours needed for a chapter: its unsolved questions at minutesPerQuestion,
+// rounded up to half hours; at least half an hour to review the chapter
+const estimateHours = (chapter, minutesPerQuestion) => {
+  const hours = (chapter.factors.unsolved * minutesPerQuestion) / 60;
+  return Math.max(0.5, Math.ceil(hours * 2) / 2);
+};
+
+// scoredChapters: output of scoreChapters, highest priority first. Chapters
+// are split across days when they do not fit; whatever is left when the days
+// run out is returned as unscheduled.
+const buildSchedule = (scoredChapters, { startDate, examDate, hoursPerDay, minutesPerQuestion }) => {
+  const days = studyDays(startDate, examDate).map(date => ({ date, totalHours: 0, sessions: [] }));
+  const unscheduled = [];
+  let dayIndex = 0;
+
+  scoredChapters.forEach((chapter) => {
+    const estimatedHours = estimateHours(chapter, minutesPerQuestion);
+    let remaining = estimatedHours;
+    let part = 0;
+
+    while (remaining > 0 && dayIndex < days.length) {
+      const day = days[dayIndex];
+      const hours = Math.min(remaining, hoursPerDay - day.totalHours);
+      part += 1;
+      day.sessions.push({
+        chapter: chapter._id,
+        subject: chapter.subject,
+        chapterName: chapter.chapter,
+        class: chapter.class,
+        unit: chapter.unit,
+        score: chapter.score,
+        hours,
+        part,
+      });
+      day.totalHours += hours;
+      remaining -= hours;
+      if (day.totalHours >= hoursPerDay) dayIndex += 1;
+    }
+
+    if (remaining > 0) {
+      unscheduled.push({
+        chapter: chapter._id,
+        subject: chapter.subject,
+        chapterName: chapter.chapter,
+        score: chapter.score,
+        remainingHours: remaining,
+      });
+    }
+  });
+
+  const plannedHours = days.reduce((sum, day) => sum + day.totalHours, 0);
+  return {
+    days: days.filter(day => day.sessions.length > 0),
+    unscheduled,
+    summary: {
+      studyDays: days.length,
+      availableHours: days.length * hoursPerDay,
+      plannedHours,
+      chapters: scoredChapters.length,
+      unscheduledChapters: unscheduled.length,
+    },
+  };
+};
+
+module.exports = {
+  MAX_PLAN_DAYS,
+  buildSchedule,
+  estimateHours,
+  studyDays,
+  toDay,
+};
@@ -0,0 +1,80 @@
+// Year-wise question count trend metrics. A series is [{ year, count }] sorted by year.
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+// Every year that appears in any of the given yearWiseQuestionCount objects
+const collectYears = (yearCounts) => {
+  const years = new Set();
+  yearCounts.forEach((counts) => {
+    Object.keys(counts || {}).forEach(year => years.add(Number(year)));
+  });
+  return [...years].filter(Number.isInteger).sort((a, b) => a - b);
+};
+
+const toSeries = (counts, years) => years.map(year => ({
+  year,
+  count: Number((counts || {})[year]) || 0,
+}));
+
+// Least-squares fit of count against year
+const linearFit = (series) => {
+  const n = series.length;
+  if (n === 0) return { slope: 0, intercept: 0 };
+  if (n === 1) return { slope: 0, intercept: series[0].count };
+
+  const meanYear = series.reduce((sum, point) => sum + point.year, 0) / n;
+  const meanCount = series.reduce((sum, point) => sum + point.count, 0) / n;
+  let covariance = 0;
+  let variance = 0;
+  series.forEach(({ year, count }) => {
+    covariance += (year - meanYear) * (count - meanCount);
+    variance += (year - meanYear) ** 2;
+  });
+
+  const slope = variance === 0 ? 0 : covariance / variance;
+  return { slope, intercept: meanCount - slope * meanYear };
+};
+
+// Population standard deviation of the yearly counts
+const standardDeviation = (series) => {
+  if (series.length === 0) return 0;
+  const mean = series.reduce((sum, point) => sum + point.count, 0) / series.length;
+  const variance = series.reduce((sum, point) => sum + (point.count - mean) ** 2, 0) / series.length;
+  return Math.sqrt(variance);
+};
+
+// recentYears: how many of the latest years count towards recentFrequency
+// threshold: minimum absolute slope (questions per year) to call a series rising/declining
+const analyzeSeries = (series, { recentYears = 3, threshold = 0.5 } = {}) => {
+  const { slope, intercept } = linearFit(series);
+  const recent = series.slice(-recentYears);
+  const total = series.reduce((sum, point) => sum + point.count, 0);
+  const nextYear = series.length > 0 ? series[series.length - 1].year + 1 : null;
+
+  let trend = 'stable';
+  if (slope >= threshold) trend = 'rising';
+  if (slope <= -threshold) trend = 'declining';
+
+  return {
+    totalQuestions: total,
+    recentFrequency: recent.reduce((sum, point) => sum + point.count, 0),
+    slope: round(slope),
+    volatility: round(standardDeviation(series)),
+    trend,
+    projection: nextYear === null ? null : {
+      year: nextYear,
+      count: Math.max(0, Math.round(intercept + slope * nextYear)),
+    },
+  };
+};
+
+module.exports = {
+  analyzeSeries,
+  collectYears,
+  linearFit,
+  standardDeviation,
+  toSeries,
+};
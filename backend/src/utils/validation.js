@@ -1,4 +1,23 @@
 const Joi = require('joi');
+const { API_KEY_PERMISSIONS, ROLES } = require('../config/permissions');
+const { AUDIT_ACTIONS } = require('../models/AuditLog');
+const { MIN_EXAM_YEAR, MAX_EXAM_YEAR, isValidExamYear } = require('../config/examYears');
+const { isSelectableField, isSortableField } = require('./chapterQuery');
+const { isValidTimeZone } = require('./practiceStats');
+
+// Keys are four-digit exam years within the configured range, values are counts
+const yearWiseQuestionCountSchema = Joi.object()
+  .pattern(Joi.string(), Joi.number().integer().min(0))
+  .custom((value, helpers) => {
+    const invalidYear = Object.keys(value).find(year => !isValidExamYear(year));
+    if (invalidYear) {
+      return helpers.error('object.examYear', { year: invalidYear });
+    }
+    return value;
+  })
+  .messages({
+    'object.examYear': `"{{#year}}" is not a valid exam year (four digits, ${MIN_EXAM_YEAR}-${MAX_EXAM_YEAR})`,
+  });
 
 // Chapter validation schema
 const chapterSchema = Joi.object({
@@ -18,45 +37,486 @@ const chapterSchema = Joi.object({
     'string.empty': 'Unit is required',
     'any.required': 'Unit is required',
   }),
-  yearWiseQuestionCount: Joi.object({
-    2019: Joi.number().integer().min(0).default(0),
-    2020: Joi.number().integer().min(0).default(0),
-    2021: Joi.number().integer().min(0).default(0),
-    2022: Joi.number().integer().min(0).default(0),
-    2023: Joi.number().integer().min(0).default(0),
-    2024: Joi.number().integer().min(0).default(0),
-    2025: Joi.number().integer().min(0).default(0),
-  }).required(),
+  yearWiseQuestionCount: yearWiseQuestionCountSchema.required(),
   questionSolved: Joi.number().integer().min(0).required().messages({
     'number.min': 'Questions solved cannot be negative',
     'any.required': 'Questions solved is required',
   }),
   status: Joi.string().valid('Not Started', 'In Progress', 'Completed').required(),
-  isWeakChapter: Joi.boolean().required(),
+  // Only kept as given while the weak-chapter rules are disabled; otherwise
+  // they re-derive it as soon as the chapter is saved
+  isWeakChapter: Joi.boolean(),
+  // Pins isWeakChapter over the rules; null hands the flag back to them
+  isWeakChapterOverride: Joi.boolean().allow(null),
+  // Explains a status change; some transitions require it (config/statusWorkflow.js)
+  statusReason: Joi.string().trim().max(500),
+}).with('statusReason', 'status');
+
+// Partial update schema (PATCH) - same rules as chapterSchema, every field optional
+const chapterPatchSchema = chapterSchema.fork(
+  ['subject', 'chapter', 'class', 'unit', 'yearWiseQuestionCount', 'questionSolved', 'status', 'isWeakChapter', 'isWeakChapterOverride'],
+  (schema) => schema.optional()
+).min(1).messages({
+  'object.min': 'At least one field must be provided for update',
 });
 
-// Query validation schema
-const querySchema = Joi.object({
+// Chapter filters shared by the list and analytics queries
+const filterKeys = {
   class: Joi.string().trim(),
   unit: Joi.string().trim(),
   status: Joi.string().valid('Not Started', 'In Progress', 'Completed'),
   weakChapters: Joi.string().valid('true', 'false'),
   subject: Joi.string().trim(),
+};
+
+// Comma-separated field list; each entry must pass `isAllowed` once `-` is
+// stripped (when `directional`). Duplicates are dropped so equivalent queries
+// share a cache key. With `paths`, entries are document paths and a child of
+// another entry (yearWiseQuestionCount.2024 next to yearWiseQuestionCount) is
+// dropped too, since Mongo rejects projections that name both.
+const fieldListSchema = (isAllowed, { directional = false, paths = false } = {}) => Joi.string()
+  .trim()
+  .custom((value, helpers) => {
+    const entries = value.split(',').map(entry => entry.trim()).filter(Boolean);
+    const seen = new Set();
+    const unique = [];
+
+    for (const entry of entries) {
+      const field = directional && entry.startsWith('-') ? entry.slice(1) : entry;
+      if (!isAllowed(field)) {
+        return helpers.error('fieldList.invalid', { field });
+      }
+      if (!seen.has(field)) {
+        seen.add(field);
+        unique.push(entry);
+      }
+    }
+
+    const isCovered = field => field.split('.').some((_, i, parts) => (
+      i > 0 && seen.has(parts.slice(0, i).join('.'))
+    ));
+    const kept = paths ? unique.filter(field => !isCovered(field)) : unique;
+
+    if (kept.length === 0) {
+      return helpers.error('fieldList.empty');
+    }
+    return kept.join(',');
+  })
+  .messages({
+    'fieldList.invalid': '{{#label}} contains unsupported field "{{#field}}"',
+    'fieldList.empty': '{{#label}} must name at least one field',
+  });
+
+// Per-user progress update schema
+const progressSchema = Joi.object({
+  questionSolved: Joi.number().integer().min(0).messages({
+    'number.min': 'Questions solved cannot be negative',
+  }),
+  status: Joi.string().valid('Not Started', 'In Progress', 'Completed'),
+  // null goes back to the chapter's rule-derived flag
+  isWeakChapter: Joi.boolean().allow(null),
+  statusReason: Joi.string().trim().max(500),
+}).min(1).with('statusReason', 'status').messages({
+  'object.min': 'At least one of questionSolved, status or isWeakChapter must be provided',
+});
+
+// Auth validation schemas
+const passwordRule = Joi.string().min(6).max(128).required().messages({
+  'string.min': 'Password must be at least 6 characters',
+  'any.required': 'Password is required',
+});
+
+const registerSchema = Joi.object({
+  email: Joi.string().trim().lowercase().email().required().messages({
+    'any.required': 'Email is required',
+  }),
+  password: passwordRule,
+});
+
+const loginSchema = Joi.object({
+  email: Joi.string().trim().lowercase().required().messages({
+    'any.required': 'Please provide email and password',
+  }),
+  password: Joi.string().required().messages({
+    'any.required': 'Please provide email and password',
+  }),
+});
+
+const changePasswordSchema = Joi.object({
+  currentPassword: Joi.string().required().messages({
+    'any.required': 'Current password is required',
+  }),
+  newPassword: passwordRule.invalid(Joi.ref('currentPassword')).messages({
+    'any.invalid': 'New password must be different from the current password',
+  }),
+});
+
+const forgotPasswordSchema = Joi.object({
+  email: Joi.string().trim().lowercase().required().messages({
+    'any.required': 'Email is required',
+  }),
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().trim().hex().length(64).required().messages({
+    'any.required': 'Reset token is required',
+  }),
+  password: passwordRule,
+});
+
+const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string().trim().max(512).required(),
+});
+
+// User management schemas
+const userQuerySchema = Joi.object({
+  role: Joi.string().valid(...ROLES),
+  email: Joi.string().trim().lowercase(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+const roleUpdateSchema = Joi.object({
+  role: Joi.string().valid(...ROLES).required(),
+});
+
+// API key schemas
+const apiKeySchema = Joi.object({
+  name: Joi.string().trim().max(100).required(),
+  permissions: Joi.array()
+    .items(Joi.string().valid(...API_KEY_PERMISSIONS))
+    .min(1)
+    .unique()
+    .required(),
+  expiresInDays: Joi.number().integer().min(1).max(3650),
+});
+
+const apiKeyQuerySchema = Joi.object({
+  includeRevoked: Joi.boolean().default(false),
+});
+
+const objectId = () => Joi.string().trim().hex().length(24).messages({
+  'string.hex': '{{#label}} must be a valid id',
+  'string.length': '{{#label}} must be a valid id',
+});
+
+// Audit log query schema - action is a comma-separated list, e.g. chapter.update,chapter.delete
+const auditQuerySchema = Joi.object({
+  action: fieldListSchema(action => AUDIT_ACTIONS.includes(action)),
+  actor: objectId(),
+  email: Joi.string().trim().lowercase(),
+  target: objectId(),
+  targetType: Joi.string().valid('chapter', 'user', 'taxonomy'),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().min(Joi.ref('from')),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+// Chapter revision schemas
+const revisionQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+// `to` defaults to the latest revision
+const revisionDiffQuerySchema = Joi.object({
+  from: Joi.number().integer().min(1).required(),
+  to: Joi.number().integer().min(1),
+});
+
+// Weak-chapter rules - omitted rules fall back to their defaults
+const weakRulesSchema = Joi.object({
+  enabled: Joi.boolean().default(true),
+  lowSolvedRatio: Joi.object({
+    enabled: Joi.boolean().default(true),
+    minPercent: Joi.number().min(0).max(100).default(30),
+  }).default(),
+  highRecentFrequency: Joi.object({
+    enabled: Joi.boolean().default(true),
+    recentYears: Joi.number().integer().min(1).max(10).default(3),
+    minQuestions: Joi.number().integer().min(1).default(10),
+  }).default(),
+  noRecentProgress: Joi.object({
+    enabled: Joi.boolean().default(false),
+    days: Joi.number().integer().min(1).max(3650).default(30),
+  }).default(),
+});
+
+// Study plan request schema
+const studyPlanSchema = Joi.object({
+  examDate: Joi.date().iso().greater('now').required(),
+  // Today (UTC, like the plan's days) or later
+  startDate: Joi.date().iso().less(Joi.ref('examDate'))
+    .custom((value, helpers) => (value.toISOString().slice(0, 10) < new Date().toISOString().slice(0, 10)
+      ? helpers.error('date.past')
+      : value))
+    .messages({ 'date.past': '{{#label}} cannot be before today' }),
+  hoursPerDay: Joi.number().min(0.5).max(16).required(),
+  subjects: Joi.array().items(Joi.string().trim().min(1)).min(1).max(20).unique().required(),
+  minutesPerQuestion: Joi.number().integer().min(1).max(60).default(5),
+  includeCompleted: Joi.boolean().default(false),
+});
+
+// Taxonomy entry schemas; parent is required for classes and units (checked by the service)
+const taxonomyNodeSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  parent: objectId(),
+  order: Joi.number().integer().min(0),
+});
+
+const taxonomyNodeUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  order: Joi.number().integer().min(0),
+}).min(1);
+
+const taxonomyQuerySchema = Joi.object({
+  parent: objectId(),
+});
+
+// Practice session schemas
+const practiceSessionSchema = Joi.object({
+  chapter: objectId().required(),
+  attempted: Joi.number().integer().min(1).max(1000).required(),
+  correct: Joi.number().integer().min(0).max(Joi.ref('attempted')).required(),
+  timeSpentMinutes: Joi.number().min(0).max(24 * 60).required(),
+  notes: Joi.string().trim().max(500).allow(''),
+  practicedAt: Joi.date().iso().max('now'),
+});
+
+const practiceQuerySchema = Joi.object({
+  chapter: objectId(),
+  from: Joi.date().iso(),
+  to: Joi.date().iso().min(Joi.ref('from')),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+// Days and weeks are counted in timeZone (an IANA name such as Asia/Kolkata)
+const practiceStatsQuerySchema = Joi.object({
+  chapter: objectId(),
+  weeks: Joi.number().integer().min(1).max(52).default(8),
+  timeZone: Joi.string().trim()
+    .custom((value, helpers) => (isValidTimeZone(value) ? value : helpers.error('string.timeZone')))
+    .default(process.env.PRACTICE_TIMEZONE || 'UTC')
+    .messages({ 'string.timeZone': '{{#label}} must be a valid IANA time zone' }),
+});
+
+// Query validation schema
+const querySchema = Joi.object({
+  ...filterKeys,
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(10),
+  sort: fieldListSchema(isSortableField, { directional: true }).default('-createdAt'),
+  fields: fieldListSchema(isSelectableField, { paths: true }),
+  // Cursor mode is used when pagination=cursor or a cursor is given
+  pagination: Joi.string().valid('page', 'cursor').default('page'),
+  cursor: Joi.string().trim().max(2000),
+  // Defaults to true for page mode and false for cursor mode
+  includeTotal: Joi.boolean(),
+});
+
+// Export query validation schema - same filters and sort as the list
+const exportQuerySchema = Joi.object({
+  ...filterKeys,
+  format: Joi.string().valid('json', 'csv', 'ndjson').default('json'),
+  sort: fieldListSchema(isSortableField, { directional: true }).default('subject,class,chapter'),
+});
+
+// Stats query validation schema - groupBy is a comma-separated list, e.g. subject,class
+const statsQuerySchema = Joi.object({
+  ...filterKeys,
+  groupBy: Joi.string()
+    .pattern(/^(subject|class|unit)(,(subject|class|unit))*$/)
+    .default('subject')
+    .messages({
+      'string.pattern.base': 'groupBy must be a comma-separated list of subject, class and unit',
+    }),
+  // Adds the total and average days chapters spent in each status
+  includeTimeInStatus: Joi.boolean().default(false),
+});
+
+// Upload options validation schema
+const uploadOptionsSchema = Joi.object({
+  mode: Joi.string().valid('insert', 'upsert', 'replace-subject').default('insert'),
+  format: Joi.string().valid('json', 'csv', 'ndjson'),
+  async: Joi.boolean().default(false),
+  // create: add missing subjects, classes and units; validate: fail those rows
+  taxonomy: Joi.string().valid('create', 'validate').default('create'),
+});
+
+// PUT/PATCH chapter options - edits only use existing taxonomy entries unless
+// taxonomy=create is given
+const chapterEditOptionsSchema = Joi.object({
+  taxonomy: Joi.string().valid('create', 'validate').default('validate'),
+});
+
+// Trends query validation schema
+const trendsQuerySchema = Joi.object({
+  ...filterKeys,
+  level: Joi.string().valid('chapter', 'unit').default('chapter'),
+  recentYears: Joi.number().integer().min(1).max(10).default(3),
+  threshold: Joi.number().min(0).default(0.5),
+  sortBy: Joi.string().valid('recentFrequency', 'slope', 'volatility', 'projection').default('recentFrequency'),
+  trend: Joi.string().valid('rising', 'declining', 'stable'),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+// Recommendations query validation schema; the *Weight keys override the
+// configured scoring weights for this request
+const recommendationsQuerySchema = Joi.object({
+  ...filterKeys,
+  limit: Joi.number().integer().min(1).max(50).default(10),
+  recentYears: Joi.number().integer().min(1).max(10).default(3),
+  includeCompleted: Joi.boolean().default(false),
+  frequencyWeight: Joi.number().min(0).max(100),
+  weakWeight: Joi.number().min(0).max(100),
+  statusWeight: Joi.number().min(0).max(100),
+  unsolvedWeight: Joi.number().min(0).max(100),
+});
+
+// Search query validation schema
+const searchQuerySchema = Joi.object({
+  ...filterKeys,
+  q: Joi.string().trim().min(2).max(100).required().messages({
+    'any.required': 'Search text (q) is required',
+  }),
+  limit: Joi.number().integer().min(1).max(50).default(10),
 });
 
 const validateChapter = (data) => {
   return chapterSchema.validate(data, { abortEarly: false });
 };
 
+const validateChapterPatch = (data) => {
+  return chapterPatchSchema.validate(data, { abortEarly: false });
+};
+
+const validateProgress = (data) => {
+  return progressSchema.validate(data, { abortEarly: false });
+};
+
+const validateRegister = (data) => {
+  return registerSchema.validate(data, { abortEarly: false });
+};
+
+const validateLogin = (data) => {
+  return loginSchema.validate(data, { abortEarly: false });
+};
+
+const validateChangePassword = (data) => {
+  return changePasswordSchema.validate(data, { abortEarly: false });
+};
+
+const validateForgotPassword = (data) => {
+  return forgotPasswordSchema.validate(data, { abortEarly: false });
+};
+
+const validateResetPassword = (data) => {
+  return resetPasswordSchema.validate(data, { abortEarly: false });
+};
+
+const validateRefreshToken = (data) => {
+  return refreshTokenSchema.validate(data || {}, { abortEarly: false });
+};
+
+const validateUserQuery = (query) => {
+  return userQuerySchema.validate(query, { abortEarly: false });
+};
+
+const validateRoleUpdate = (data) => {
+  return roleUpdateSchema.validate(data, { abortEarly: false });
+};
+
+const validateApiKey = (data) => {
+  return apiKeySchema.validate(data, { abortEarly: false });
+};
+
+const validateApiKeyQuery = (query) => {
+  return apiKeyQuerySchema.validate(query, { abortEarly: false });
+};
+
+const validateAuditQuery = (query) => {
+  return auditQuerySchema.validate(query, { abortEarly: false });
+};
+
+const validateRevisionQuery = (query) => {
+  return revisionQuerySchema.validate(query, { abortEarly: false });
+};
+
+const validateRevisionDiffQuery = (query) => {
+  return revisionDiffQuerySchema.validate(query, { abortEarly: false });
+};
+
+const validateExportQuery = (query) => {
+  return exportQuerySchema.validate(query, { abortEarly: false });
+};
+
+const validateWeakRules = (data) => {
+  return weakRulesSchema.validate(data, { abortEarly: false });
+};
+
+const validateStudyPlan = (data) => {
+  return studyPlanSchema.validate(data, { abortEarly: false });
+};
+
+const validateTaxonomyNode = (data) => {
+  return taxonomyNodeSchema.validate(data, { abortEarly: false });
+};
+
+const validateTaxonomyNodeUpdate = (data) => {
+  return taxonomyNodeUpdateSchema.validate(data, { abortEarly: false });
+};
+
+const validateTaxonomyQuery = (query) => {
+  return taxonomyQuerySchema.validate(query, { abortEarly: false });
+};
+
+const validatePracticeSession = (data) => {
+  return practiceSessionSchema.validate(data, { abortEarly: false });
+};
+
+const validatePracticeQuery = (query) => {
+  return practiceQuerySchema.validate(query, { abortEarly: false });
+};
+
+const validatePracticeStatsQuery = (query) => {
+  return practiceStatsQuerySchema.validate(query, { abortEarly: false });
+};
+
 const validateQuery = (query) => {
   return querySchema.validate(query, { abortEarly: false });
 };
 
+const validateUploadOptions = (options) => {
+  return uploadOptionsSchema.validate(options, { abortEarly: false });
+};
+
+const validateChapterEditOptions = (options) => {
+  return chapterEditOptionsSchema.validate(options, { abortEarly: false });
+};
+
+const validateStatsQuery = (query) => {
+  return statsQuerySchema.validate(query, { abortEarly: false });
+};
+
+const validateTrendsQuery = (query) => {
+  return trendsQuerySchema.validate(query, { abortEarly: false });
+};
+
+const validateRecommendationsQuery = (query) => {
+  return recommendationsQuerySchema.validate(query, { abortEarly: false });
+};
+
+const validateSearchQuery = (query) => {
+  return searchQuerySchema.validate(query, { abortEarly: false });
+};
+
+// validIndexes[i] is the position in `chapters` of valid[i]
 const validateChapters = (chapters) => {
   const results = {
     valid: [],
+    validIndexes: [],
     invalid: [],
   };
 
@@ -70,6 +530,7 @@ const validateChapters = (chapters) => {
       });
     } else {
       results.valid.push(value);
+      results.validIndexes.push(index);
     }
   });
 
@@ -78,6 +539,36 @@ const validateChapters = (chapters) => {
 
 module.exports = {
   validateChapter,
+  validateChapterPatch,
+  validateProgress,
+  validateRegister,
+  validateLogin,
+  validateRefreshToken,
+  validateChangePassword,
+  validateForgotPassword,
+  validateResetPassword,
+  validateUserQuery,
+  validateRoleUpdate,
+  validateApiKey,
+  validateApiKeyQuery,
+  validateAuditQuery,
+  validateRevisionQuery,
+  validateRevisionDiffQuery,
+  validateWeakRules,
+  validateStudyPlan,
+  validateTaxonomyNode,
+  validateTaxonomyNodeUpdate,
+  validateTaxonomyQuery,
+  validatePracticeSession,
+  validatePracticeQuery,
+  validatePracticeStatsQuery,
   validateQuery,
+  validateExportQuery,
+  validateStatsQuery,
+  validateTrendsQuery,
+  validateRecommendationsQuery,
+  validateSearchQuery,
   validateChapters,
+  validateUploadOptions,
+  validateChapterEditOptions,
 };
\ No newline at end of file
@@ -0,0 +1,75 @@
+// Weak-chapter rule evaluation. Rules come from the WeakChapterRules settings
+// document; a chapter is weak when at least one enabled rule matches.
+//
+// The rules only see catalogue data - the chapter's own questionSolved and
+// status, and activity by any user - never one user's ChapterProgress, so the
+// reasons say so. A user who disagrees sets their own flag instead.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const yearTotal = counts => Object.values(counts || {}).reduce((sum, count) => sum + (count || 0), 0);
+
+// chapter: plain chapter document (yearWiseQuestionCount as an object), not
+// merged with any user's progress
+// years: every exam year in use, ascending; the latest ones count as recent
+// lastActivityAt: latest progress update or practice session on the chapter
+// by anyone; chapters nobody has worked on count from their creation
+// Returns [{ rule, message }] - empty when the chapter is not weak. An editor's
+// isWeakChapterOverride wins over every rule, even while they are disabled.
+const evaluateWeakChapter = (chapter, rules, { years = [], now = new Date(), lastActivityAt } = {}) => {
+  if (typeof chapter.isWeakChapterOverride === 'boolean') {
+    return chapter.isWeakChapterOverride ? [{ rule: 'override', message: 'Marked weak by an editor' }] : [];
+  }
+  if (!rules.enabled) return [];
+
+  const reasons = [];
+  const counts = chapter.yearWiseQuestionCount || {};
+  const totalQuestions = yearTotal(counts);
+  const solved = chapter.questionSolved || 0;
+  const completed = chapter.status === 'Completed';
+
+  const { lowSolvedRatio, highRecentFrequency, noRecentProgress } = rules;
+
+  if (lowSolvedRatio.enabled && totalQuestions > 0) {
+    const percent = (solved / totalQuestions) * 100;
+    if (percent < lowSolvedRatio.minPercent) {
+      reasons.push({
+        rule: 'lowSolvedRatio',
+        message: `Catalogue progress: solved ${solved} of ${totalQuestions} questions (${Math.round(percent)}%), below ${lowSolvedRatio.minPercent}%`,
+      });
+    }
+  }
+
+  if (highRecentFrequency.enabled && !completed && years.length > 0) {
+    const recent = years.slice(-highRecentFrequency.recentYears);
+    const recentQuestions = recent.reduce((sum, year) => sum + (counts[year] || 0), 0);
+    if (recentQuestions >= highRecentFrequency.minQuestions) {
+      const span = recent.length > 1 ? `${recent[0]}-${recent[recent.length - 1]}` : `${recent[0]}`;
+      reasons.push({
+        rule: 'highRecentFrequency',
+        message: `${recentQuestions} questions in the ${span} exams and catalogue status is ${chapter.status}`,
+      });
+    }
+  }
+
+  const lastActivity = lastActivityAt || chapter.createdAt;
+  if (noRecentProgress.enabled && !completed && lastActivity) {
+    const lastChange = new Date(lastActivity);
+    if (now - lastChange >= noRecentProgress.days * DAY_MS) {
+      reasons.push({
+        rule: 'noRecentProgress',
+        message: `No progress by any user since ${lastChange.toISOString().slice(0, 10)} (over ${noRecentProgress.days} days)`,
+      });
+    }
+  }
+
+  return reasons;
+};
+
+const sameReasons = (a = [], b = []) => a.length === b.length
+  && a.every((reason, i) => reason.rule === b[i].rule && reason.message === b[i].message);
+
+module.exports = {
+  evaluateWeakChapter,
+  sameReasons,
+};
@@ -0,0 +1,60 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  looseKey,
+  missingChapters,
+  naturalKey,
+  normalizeName,
+} = require('../src/utils/chapterKeys');
+
+const chapter = (subject, className, name) => ({ subject, class: className, chapter: name });
+
+describe('normalizeName', () => {
+  it('ignores case and repeated whitespace', () => {
+    assert.equal(normalizeName('  Class   11 '), 'class 11');
+  });
+});
+
+describe('naturalKey', () => {
+  it('trims every part but keeps its case', () => {
+    assert.equal(naturalKey(chapter(' Physics', 'Class 11 ', ' Optics ')), naturalKey(chapter('Physics', 'Class 11', 'Optics')));
+    assert.notEqual(naturalKey(chapter('physics', 'Class 11', 'Optics')), naturalKey(chapter('Physics', 'Class 11', 'Optics')));
+  });
+});
+
+describe('looseKey', () => {
+  it('matches subject and class the way the taxonomy does', () => {
+    assert.equal(looseKey(chapter('physics', 'class  11', 'Optics')), looseKey(chapter('Physics', 'Class 11', 'Optics')));
+  });
+
+  it('keeps the chapter name case-sensitive', () => {
+    assert.notEqual(looseKey(chapter('Physics', 'Class 11', 'optics')), looseKey(chapter('Physics', 'Class 11', 'Optics')));
+  });
+});
+
+describe('missingChapters', () => {
+  const stored = [
+    chapter('Physics', 'Class 11', 'Optics'),
+    chapter('Physics', 'Class 11', 'Waves'),
+    chapter('Physics', 'Class 12', 'Optics'),
+  ];
+
+  it('returns the chapters no row names', () => {
+    assert.deepEqual(
+      missingChapters(stored, [chapter('physics', 'Class 11', 'Optics'), chapter('Physics', 'Class 12', 'Optics')]),
+      [stored[1]]
+    );
+  });
+
+  it('keeps chapters named by rows that fail validation', () => {
+    const invalidRow = { ...chapter('Physics', 'Class 11', 'Waves'), questionSolved: -1 };
+    assert.deepEqual(
+      missingChapters(stored, [chapter('Physics', 'Class 11', 'Optics'), invalidRow]),
+      [stored[2]]
+    );
+  });
+
+  it('ignores rows that are not objects', () => {
+    assert.deepEqual(missingChapters(stored, [null, 'Optics', 42]), stored);
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  detectFormat,
+  parseChapters,
+  parseCsv,
+  parseJson,
+  parseNdjson,
+} = require('../src/utils/chapterParsers');
+
+describe('detectFormat', () => {
+  it('prefers the file extension over the mimetype', () => {
+    assert.equal(detectFormat({ filename: 'chapters.CSV', mimetype: 'application/json' }), 'csv');
+    assert.equal(detectFormat({ filename: 'chapters.jsonl' }), 'ndjson');
+  });
+
+  it('falls back to the mimetype, ignoring parameters', () => {
+    assert.equal(detectFormat({ filename: 'upload', mimetype: 'application/json; charset=utf-8' }), 'json');
+    assert.equal(detectFormat({ mimetype: 'application/x-ndjson' }), 'ndjson');
+  });
+
+  it('returns null for unsupported uploads', () => {
+    assert.equal(detectFormat({ filename: 'chapters.xlsx', mimetype: 'application/octet-stream' }), null);
+    assert.equal(detectFormat(), null);
+  });
+});
+
+describe('parseJson', () => {
+  it('returns the line each array element starts on', () => {
+    const content = '[\n  {"chapter": "A, [b]"},\n  {\n    "chapter": "C \\" }"\n  }, {"chapter": "D"}\n]';
+    const { rows, lines } = parseJson(content);
+    assert.deepEqual(rows.map(row => row.chapter), ['A, [b]', 'C " }', 'D']);
+    assert.deepEqual(lines, [2, 3, 5]);
+  });
+
+  it('has no lines for a document that is not an array', () => {
+    assert.deepEqual(parseJson('{"chapter": "A"}'), { rows: { chapter: 'A' }, lines: [] });
+  });
+
+  it('rejects invalid JSON with a 400 error', () => {
+    assert.throws(() => parseJson('[{'), { statusCode: 400, message: /^Invalid JSON/ });
+  });
+});
+
+describe('parseNdjson', () => {
+  it('parses one row per line and skips blank lines', () => {
+    assert.deepEqual(parseNdjson('{"a":1}\r\n\n{"a":2}\n'), { rows: [{ a: 1 }, { a: 2 }], lines: [1, 3] });
+  });
+
+  it('reports the line of an invalid row', () => {
+    assert.throws(() => parseNdjson('{"a":1}\n{oops}'), { statusCode: 400, line: 2, message: /^Line 2: Invalid JSON/ });
+  });
+});
+
+describe('parseCsv', () => {
+  it('strips a byte order mark, builds nested fields from dotted columns and leaves empty cells out', () => {
+    const { rows, lines } = parseCsv('\uFEFFchapter,yearWiseQuestionCount.2024,status\nOptics,3,\n');
+    assert.deepEqual(rows, [{ chapter: 'Optics', yearWiseQuestionCount: { 2024: '3' } }]);
+    assert.deepEqual(lines, [2]);
+  });
+
+  it('handles quoted commas, quotes and newlines', () => {
+    const { rows, lines } = parseCsv('chapter,unit\n"Waves, ""sound""","Line one\nline two"\nOptics,Light\n');
+    assert.deepEqual(rows, [
+      { chapter: 'Waves, "sound"', unit: 'Line one\nline two' },
+      { chapter: 'Optics', unit: 'Light' },
+    ]);
+    assert.deepEqual(lines, [2, 4]);
+  });
+
+  it('skips blank lines but keeps counting them', () => {
+    assert.deepEqual(parseCsv('chapter\n\nOptics\r\n').lines, [3]);
+  });
+
+  it('rejects rows with the wrong number of columns', () => {
+    assert.throws(() => parseCsv('chapter,unit\nOptics\n'), { line: 2, message: 'Line 2: Expected 2 columns but found 1' });
+  });
+
+  it('rejects empty and unsafe column names', () => {
+    assert.throws(() => parseCsv('chapter,\nOptics,x\n'), { line: 1, message: /empty column name/ });
+    assert.throws(() => parseCsv('__proto__.polluted\nyes\n'), { message: /Invalid column name/ });
+    assert.equal({}.polluted, undefined);
+  });
+
+  it('rejects an unterminated quoted field', () => {
+    assert.throws(() => parseCsv('chapter\n"Optics\n'), { line: 2, message: /Unterminated quoted field/ });
+  });
+
+  it('returns nothing for empty content', () => {
+    assert.deepEqual(parseCsv(''), { rows: [], lines: [] });
+  });
+});
+
+describe('parseChapters', () => {
+  it('dispatches on the format', () => {
+    assert.deepEqual(parseChapters('{"a":1}', 'ndjson').rows, [{ a: 1 }]);
+  });
+
+  it('rejects an unsupported format', () => {
+    assert.throws(() => parseChapters('', 'xml'), { statusCode: 400, message: 'Unsupported format: xml' });
+  });
+});
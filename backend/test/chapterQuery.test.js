@@ -0,0 +1,144 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  buildKeysetMatch,
+  buildPageMatchStages,
+  buildSort,
+  decodeCursor,
+  encodeCursor,
+  notDeleted,
+} = require('../src/utils/chapterQuery');
+
+// Enough of Mongo's matching and sort order (missing and null lowest) to
+// check a keyset against plain rows
+const get = (row, field) => row[field] ?? null;
+const compare = (a, b) => {
+  if (a === b) return 0;
+  if (a === null) return -1;
+  if (b === null) return 1;
+  return a < b ? -1 : 1;
+};
+const matches = (row, filter) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$or') return condition.some(branch => matches(row, branch));
+  const value = get(row, key);
+  if (condition === null || typeof condition !== 'object') return compare(value, condition) === 0;
+  if ('$ne' in condition) return compare(value, condition.$ne) !== 0;
+  if ('$gt' in condition) return value !== null && compare(value, condition.$gt) > 0;
+  if ('$lt' in condition) return value !== null && compare(value, condition.$lt) < 0;
+  throw new Error(`Unexpected condition ${JSON.stringify(condition)}`);
+});
+const sortRows = (rows, sortSpec) => [...rows].sort((a, b) => {
+  for (const [field, direction] of Object.entries(sortSpec)) {
+    const order = compare(get(a, field), get(b, field)) * direction;
+    if (order !== 0) return order;
+  }
+  return 0;
+});
+
+const rows = [
+  { _id: 1, chapter: 'Optics', totalQuestions: 12, 'yearWiseQuestionCount.2024': 3 },
+  { _id: 2, chapter: 'Waves', totalQuestions: 12, 'yearWiseQuestionCount.2024': null },
+  { _id: 3, chapter: 'Optics', totalQuestions: 4 },
+  { _id: 4, chapter: 'Atoms', totalQuestions: 20, 'yearWiseQuestionCount.2024': 3 },
+  { _id: 5, chapter: 'Waves', totalQuestions: 4, 'yearWiseQuestionCount.2024': 7 },
+];
+
+// Walk every page boundary and check the keyset returns exactly the rows after it
+const assertPagesFollowSort = (sort) => {
+  const sortSpec = buildSort(sort);
+  const sorted = sortRows(rows, sortSpec);
+  sorted.forEach((last, i) => {
+    const keyset = buildKeysetMatch(sortSpec, Object.keys(sortSpec).map(field => get(last, field)));
+    assert.deepEqual(
+      sorted.filter(row => matches(row, keyset)).map(row => row._id),
+      sorted.slice(i + 1).map(row => row._id),
+      `after _id ${last._id} sorted by ${sort}`
+    );
+  });
+};
+
+describe('encodeCursor / decodeCursor', () => {
+  it('round-trips dates, ObjectIds, numbers, strings and nulls', () => {
+    const id = new mongoose.Types.ObjectId();
+    const createdAt = new Date('2026-10-18T08:00:00Z');
+    const cursor = encodeCursor('-createdAt', [createdAt, 12, 'Optics', null, id]);
+
+    assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+    const { sort, values } = decodeCursor(cursor);
+    assert.equal(sort, '-createdAt');
+    assert.deepEqual(values.slice(1, 4), [12, 'Optics', null]);
+    assert.ok(values[0] instanceof Date);
+    assert.equal(values[0].getTime(), createdAt.getTime());
+    assert.ok(values[4] instanceof mongoose.Types.ObjectId);
+    assert.equal(values[4].toString(), id.toString());
+  });
+
+  it('returns null for malformed cursors', () => {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    assert.equal(decodeCursor('not a cursor'), null);
+    assert.equal(decodeCursor(encode({ sort: 1, values: [] })), null);
+    assert.equal(decodeCursor(encode({ sort: 'chapter', values: 'x' })), null);
+    assert.equal(decodeCursor(encode({ sort: 'chapter', values: [{ $oid: 'nope' }] })), null);
+    assert.equal(decodeCursor(encode({ sort: 'chapter', values: [{ $where: '1' }] })), null);
+  });
+});
+
+describe('buildSort', () => {
+  it('defaults to newest first and always ends on _id', () => {
+    assert.deepEqual(buildSort(), { createdAt: -1, _id: -1 });
+    assert.deepEqual(buildSort('-totalQuestions,chapter'), { totalQuestions: -1, chapter: 1, _id: -1 });
+    assert.deepEqual(buildSort('_id'), { _id: 1 });
+  });
+});
+
+describe('buildKeysetMatch', () => {
+  it('compares each key after equal values on the keys before it', () => {
+    assert.deepEqual(buildKeysetMatch(buildSort('-totalQuestions,chapter'), [12, 'Optics', 1]), {
+      $or: [
+        { totalQuestions: { $lt: 12 } },
+        { totalQuestions: 12, chapter: { $gt: 'Optics' } },
+        { totalQuestions: 12, chapter: 'Optics', _id: { $lt: 1 } },
+      ],
+    });
+  });
+
+  it('pages through mixed sort directions without skipping or repeating rows', () => {
+    assertPagesFollowSort('-totalQuestions,chapter');
+    assertPagesFollowSort('chapter,totalQuestions');
+  });
+
+  it('pages through a year that some chapters are missing', () => {
+    assertPagesFollowSort('yearWiseQuestionCount.2024');
+    assertPagesFollowSort('-yearWiseQuestionCount.2024');
+  });
+});
+
+describe('buildPageMatchStages', () => {
+  const filter = { ...notDeleted, subject: 'Physics', status: 'Completed' };
+  const userId = new mongoose.Types.ObjectId();
+
+  it('puts the keyset in the first $match without a user', () => {
+    const sortSpec = buildSort('-createdAt');
+    const values = [new Date('2026-10-18T00:00:00Z'), 5];
+    assert.deepEqual(buildPageMatchStages(filter, null, sortSpec, values), [
+      { $match: { $and: [filter, buildKeysetMatch(sortSpec, values)] } },
+    ]);
+  });
+
+  it('keeps the keyset in the first $match when the sort is on catalogue fields', () => {
+    const sortSpec = buildSort('chapter');
+    const stages = buildPageMatchStages(filter, userId, sortSpec, ['Optics', 5]);
+    assert.deepEqual(stages[0].$match.$and[1], buildKeysetMatch(sortSpec, ['Optics', 5]));
+    assert.equal(stages[0].$match.$and[0].status, undefined);
+    assert.deepEqual(stages[stages.length - 1], { $match: { status: 'Completed' } });
+  });
+
+  it('matches the keyset after the progress overlay when the sort uses progress fields', () => {
+    const sortSpec = buildSort('-status');
+    const stages = buildPageMatchStages(filter, userId, sortSpec, ['Completed', 5]);
+    assert.deepEqual(stages[0], { $match: { ...notDeleted, subject: 'Physics' } });
+    assert.deepEqual(stages[stages.length - 1], { $match: buildKeysetMatch(sortSpec, ['Completed', 5]) });
+    assert.ok(stages.some(stage => stage.$lookup));
+  });
+});
@@ -0,0 +1,181 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  accuracy,
+  computeStreaks,
+  dayInZone,
+  isValidTimeZone,
+  weekStart,
+  weeklyTotals,
+} = require('../src/utils/practiceStats');
+
+const day = (date, totals = {}) => ({
+  day: date,
+  sessions: 1,
+  attempted: 10,
+  correct: 5,
+  timeSpentMinutes: 30,
+  ...totals,
+});
+
+describe('dayInZone', () => {
+  it('uses the local calendar day of the time zone', () => {
+    assert.equal(dayInZone('2026-10-17T20:00:00Z', 'UTC'), '2026-10-17');
+    assert.equal(dayInZone('2026-10-17T20:00:00Z', 'Asia/Kolkata'), '2026-10-18');
+    assert.equal(dayInZone('2026-10-18T02:00:00Z', 'America/Los_Angeles'), '2026-10-17');
+  });
+
+  it('follows the offset change when daylight saving time starts', () => {
+    // New York moves from UTC-5 to UTC-4 at 07:00Z on 2026-03-08
+    assert.equal(dayInZone('2026-03-08T04:30:00Z', 'America/New_York'), '2026-03-07');
+    assert.equal(dayInZone('2026-03-09T03:30:00Z', 'America/New_York'), '2026-03-08');
+    assert.equal(dayInZone('2026-03-09T04:30:00Z', 'America/New_York'), '2026-03-09');
+  });
+
+  it('follows the offset change when daylight saving time ends', () => {
+    // New York moves from UTC-4 to UTC-5 at 06:00Z on 2026-11-01
+    assert.equal(dayInZone('2026-11-01T03:30:00Z', 'America/New_York'), '2026-10-31');
+    assert.equal(dayInZone('2026-11-02T04:30:00Z', 'America/New_York'), '2026-11-01');
+    assert.equal(dayInZone('2026-11-02T05:30:00Z', 'America/New_York'), '2026-11-02');
+  });
+});
+
+describe('isValidTimeZone', () => {
+  it('accepts IANA zone names and rejects unknown ones', () => {
+    assert.equal(isValidTimeZone('Europe/Berlin'), true);
+    assert.equal(isValidTimeZone('UTC'), true);
+    assert.equal(isValidTimeZone('Mars/Olympus_Mons'), false);
+  });
+});
+
+describe('weekStart', () => {
+  it('returns the Monday of the week', () => {
+    assert.equal(weekStart('2026-10-19'), '2026-10-19');
+    assert.equal(weekStart('2026-10-21'), '2026-10-19');
+    assert.equal(weekStart('2026-10-18'), '2026-10-12');
+  });
+
+  it('crosses month and year boundaries', () => {
+    assert.equal(weekStart('2026-11-01'), '2026-10-26');
+    assert.equal(weekStart('2027-01-01'), '2026-12-28');
+  });
+});
+
+describe('computeStreaks', () => {
+  const days = ['2026-10-10', '2026-10-11', '2026-10-12', '2026-10-15', '2026-10-16', '2026-10-17'];
+
+  it('keeps the current streak alive when the last practice was yesterday', () => {
+    assert.deepEqual(computeStreaks(days, '2026-10-18'), {
+      current: 3,
+      longest: 3,
+      lastPracticeDate: '2026-10-17',
+      practicedToday: false,
+    });
+  });
+
+  it('counts today as part of the current streak', () => {
+    const streaks = computeStreaks(days, '2026-10-17');
+    assert.equal(streaks.current, 3);
+    assert.equal(streaks.practicedToday, true);
+  });
+
+  it('ends the current streak after a missed day', () => {
+    const streaks = computeStreaks(days, '2026-10-19');
+    assert.equal(streaks.current, 0);
+    assert.equal(streaks.longest, 3);
+  });
+
+  it('finds the longest run anywhere in the history', () => {
+    const streaks = computeStreaks(['2026-09-01', '2026-09-02', '2026-09-03', '2026-09-04', '2026-10-17'], '2026-10-17');
+    assert.equal(streaks.longest, 4);
+    assert.equal(streaks.current, 1);
+  });
+
+  it('runs across month ends and daylight saving changes', () => {
+    assert.equal(computeStreaks(['2026-10-31', '2026-11-01', '2026-11-02'], '2026-11-02').current, 3);
+    assert.equal(computeStreaks(['2026-03-07', '2026-03-08', '2026-03-09'], '2026-03-09').current, 3);
+    assert.equal(computeStreaks(['2026-12-31', '2027-01-01'], '2027-01-01').current, 2);
+  });
+
+  it('is empty without any practice', () => {
+    assert.deepEqual(computeStreaks([], '2026-10-18'), {
+      current: 0,
+      longest: 0,
+      lastPracticeDate: null,
+      practicedToday: false,
+    });
+  });
+});
+
+describe('accuracy', () => {
+  it('is the percentage of correct answers, rounded to two decimals', () => {
+    assert.equal(accuracy({ attempted: 3, correct: 2 }), 66.67);
+    assert.equal(accuracy({ attempted: 4, correct: 4 }), 100);
+  });
+
+  it('is 0 when nothing was attempted', () => {
+    assert.equal(accuracy({ attempted: 0, correct: 0 }), 0);
+  });
+});
+
+describe('weeklyTotals', () => {
+  it('returns every week up to the current one, oldest first, empty weeks included', () => {
+    const weeks = weeklyTotals([], { today: '2026-10-18', weeks: 3 });
+    assert.deepEqual(weeks.map(week => week.weekStart), ['2026-09-28', '2026-10-05', '2026-10-12']);
+    weeks.forEach((week) => {
+      assert.deepEqual(week, {
+        weekStart: week.weekStart,
+        sessions: 0,
+        attempted: 0,
+        correct: 0,
+        timeSpentMinutes: 0,
+        daysPracticed: 0,
+        accuracy: 0,
+      });
+    });
+  });
+
+  it('puts Sunday in the week before Monday', () => {
+    const weeks = weeklyTotals(
+      [day('2026-10-11'), day('2026-10-12', { attempted: 4, correct: 3 })],
+      { today: '2026-10-18', weeks: 2 }
+    );
+    assert.deepEqual(weeks, [
+      {
+        weekStart: '2026-10-05',
+        sessions: 1,
+        attempted: 10,
+        correct: 5,
+        timeSpentMinutes: 30,
+        daysPracticed: 1,
+        accuracy: 50,
+      },
+      {
+        weekStart: '2026-10-12',
+        sessions: 1,
+        attempted: 4,
+        correct: 3,
+        timeSpentMinutes: 30,
+        daysPracticed: 1,
+        accuracy: 75,
+      },
+    ]);
+  });
+
+  it('sums the days of a week and ignores days outside the window', () => {
+    const weeks = weeklyTotals(
+      [day('2026-09-30'), day('2026-10-13', { sessions: 2 }), day('2026-10-14'), day('2026-10-18')],
+      { today: '2026-10-18', weeks: 1 }
+    );
+    assert.equal(weeks.length, 1);
+    assert.equal(weeks[0].sessions, 4);
+    assert.equal(weeks[0].attempted, 30);
+    assert.equal(weeks[0].daysPracticed, 3);
+  });
+
+  it('starts a new week on Monday even when today is Monday', () => {
+    const weeks = weeklyTotals([day('2026-10-18'), day('2026-10-19')], { today: '2026-10-19', weeks: 1 });
+    assert.equal(weeks[0].weekStart, '2026-10-19');
+    assert.equal(weeks[0].daysPracticed, 1);
+  });
+});
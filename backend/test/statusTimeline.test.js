@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { durationsInDays, summarizeDurations, timeInStatus } = require('../src/utils/statusTimeline');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('timeInStatus', () => {
+  it('counts the current status from createdAt when nothing changed', () => {
+    const durations = timeInStatus(
+      { createdAt: '2026-01-01T00:00:00Z', status: 'In Progress' },
+      [],
+      new Date('2026-01-03T00:00:00Z')
+    );
+    assert.deepEqual(durations, { 'Not Started': 0, 'In Progress': 2 * DAY_MS, Completed: 0 });
+  });
+
+  it('starts in the first change\'s from status and ends in the last change\'s to status', () => {
+    const durations = timeInStatus(
+      { createdAt: '2026-01-01T00:00:00Z', status: 'Completed' },
+      [
+        { from: 'Not Started', to: 'In Progress', changedAt: '2026-01-02T00:00:00Z' },
+        { from: 'In Progress', to: 'Completed', changedAt: '2026-01-04T12:00:00Z' },
+      ],
+      new Date('2026-01-05T00:00:00Z')
+    );
+    assert.deepEqual(durations, {
+      'Not Started': DAY_MS,
+      'In Progress': 2.5 * DAY_MS,
+      Completed: 0.5 * DAY_MS,
+    });
+  });
+
+  it('adds up repeated visits to the same status', () => {
+    const durations = timeInStatus(
+      { createdAt: '2026-01-01T00:00:00Z', status: 'In Progress' },
+      [
+        { from: 'Not Started', to: 'In Progress', changedAt: '2026-01-02T00:00:00Z' },
+        { from: 'In Progress', to: 'Completed', changedAt: '2026-01-03T00:00:00Z' },
+        { from: 'Completed', to: 'In Progress', changedAt: '2026-01-04T00:00:00Z' },
+      ],
+      new Date('2026-01-06T00:00:00Z')
+    );
+    assert.equal(durations['In Progress'], 3 * DAY_MS);
+    assert.equal(durations.Completed, DAY_MS);
+  });
+
+  it('never counts negative time for changes recorded before createdAt', () => {
+    const durations = timeInStatus(
+      { createdAt: '2026-01-02T00:00:00Z', status: 'In Progress' },
+      [{ from: 'Not Started', to: 'In Progress', changedAt: '2026-01-01T00:00:00Z' }],
+      new Date('2026-01-03T00:00:00Z')
+    );
+    assert.equal(durations['Not Started'], 0);
+    assert.equal(durations['In Progress'], 2 * DAY_MS);
+  });
+});
+
+describe('durationsInDays', () => {
+  it('converts milliseconds to days rounded to two decimals', () => {
+    assert.deepEqual(
+      durationsInDays({ 'Not Started': DAY_MS / 3, 'In Progress': 1.5 * DAY_MS, Completed: 0 }),
+      { 'Not Started': 0.33, 'In Progress': 1.5, Completed: 0 }
+    );
+  });
+});
+
+describe('summarizeDurations', () => {
+  it('reports the total and the average per chapter', () => {
+    assert.deepEqual(
+      summarizeDurations({ 'Not Started': 3 * DAY_MS, 'In Progress': DAY_MS, Completed: 0 }, 2),
+      {
+        'Not Started': { totalDays: 3, averageDays: 1.5 },
+        'In Progress': { totalDays: 1, averageDays: 0.5 },
+        Completed: { totalDays: 0, averageDays: 0 },
+      }
+    );
+  });
+
+  it('has zero averages for no chapters', () => {
+    assert.deepEqual(
+      summarizeDurations({ 'Not Started': DAY_MS, 'In Progress': 0, Completed: 0 }, 0)['Not Started'],
+      { totalDays: 1, averageDays: 0 }
+    );
+  });
+});
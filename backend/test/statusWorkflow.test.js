@@ -0,0 +1,76 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const MODULE = require.resolve('../src/config/statusWorkflow');
+
+// Load the workflow as it would start with the given STATUS_TRANSITIONS
+const loadWorkflow = (transitions) => {
+  const previous = process.env.STATUS_TRANSITIONS;
+  if (transitions === undefined) delete process.env.STATUS_TRANSITIONS;
+  else process.env.STATUS_TRANSITIONS = transitions;
+
+  delete require.cache[MODULE];
+  try {
+    return require(MODULE);
+  } finally {
+    if (previous === undefined) delete process.env.STATUS_TRANSITIONS;
+    else process.env.STATUS_TRANSITIONS = previous;
+    delete require.cache[MODULE];
+  }
+};
+
+describe('transitionError', () => {
+  const { transitionError } = loadWorkflow(undefined);
+
+  it('allows moving forward without a reason', () => {
+    assert.equal(transitionError('Not Started', 'In Progress'), null);
+    assert.equal(transitionError('Not Started', 'Completed'), null);
+    assert.equal(transitionError('In Progress', 'Completed'), null);
+    assert.equal(transitionError('In Progress', 'Not Started'), null);
+  });
+
+  it('requires a reason to reopen a Completed chapter', () => {
+    assert.equal(
+      transitionError('Completed', 'In Progress'),
+      'A statusReason is required to move a chapter from Completed to In Progress'
+    );
+    assert.equal(
+      transitionError('Completed', 'Not Started', '   '),
+      'A statusReason is required to move a chapter from Completed to Not Started'
+    );
+    assert.equal(transitionError('Completed', 'In Progress', 'Failed the mock test'), null);
+  });
+
+  it('allows keeping the status or giving none', () => {
+    assert.equal(transitionError('Completed', 'Completed'), null);
+    assert.equal(transitionError('Completed', undefined), null);
+  });
+});
+
+describe('STATUS_TRANSITIONS', () => {
+  it('replaces the default transitions', () => {
+    const { TRANSITIONS, transitionError } = loadWorkflow(JSON.stringify({
+      'Not Started': { 'In Progress': {} },
+      'In Progress': { Completed: { requireReason: true } },
+    }));
+
+    assert.deepEqual(Object.keys(TRANSITIONS), ['Not Started', 'In Progress']);
+    assert.equal(transitionError('Not Started', 'In Progress'), null);
+    assert.equal(transitionError('Not Started', 'Completed'), 'Status cannot change from Not Started to Completed');
+    assert.match(transitionError('In Progress', 'Completed'), /statusReason is required/);
+    assert.equal(transitionError('Completed', 'In Progress'), 'Status cannot change from Completed to In Progress');
+  });
+
+  it('falls back to the defaults when the override is invalid', () => {
+    const warn = mock.method(console, 'warn', () => {});
+    try {
+      const defaults = loadWorkflow(undefined).TRANSITIONS;
+      assert.deepEqual(loadWorkflow('{not json').TRANSITIONS, defaults);
+      assert.deepEqual(loadWorkflow(JSON.stringify({ Done: { Completed: {} } })).TRANSITIONS, defaults);
+      assert.deepEqual(loadWorkflow(JSON.stringify({ Completed: { Archived: {} } })).TRANSITIONS, defaults);
+      assert.equal(warn.mock.callCount(), 3);
+    } finally {
+      warn.mock.restore();
+    }
+  });
+});
@@ -0,0 +1,136 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_PLAN_DAYS,
+  buildSchedule,
+  estimateHours,
+  studyDays,
+  toDay,
+} = require('../src/utils/studyPlanner');
+
+// unsolved questions at 5 minutes each: 12 per hour
+const chapter = (id, unsolved) => ({
+  _id: id,
+  subject: 'Physics',
+  chapter: `Chapter ${id}`,
+  class: 'Class 11',
+  unit: 'Mechanics',
+  score: 1,
+  factors: { unsolved },
+});
+
+describe('toDay', () => {
+  it('uses the UTC calendar day', () => {
+    assert.equal(toDay('2026-03-08T23:30:00-05:00'), '2026-03-09');
+    assert.equal(toDay(new Date('2026-10-18T00:00:00Z')), '2026-10-18');
+  });
+});
+
+describe('studyDays', () => {
+  it('lists every day from the start up to, not including, the exam day', () => {
+    assert.deepEqual(studyDays('2026-01-30', '2026-02-02'), ['2026-01-30', '2026-01-31', '2026-02-01']);
+  });
+
+  it('is unaffected by daylight saving changes', () => {
+    assert.deepEqual(studyDays('2026-03-07', '2026-03-10'), ['2026-03-07', '2026-03-08', '2026-03-09']);
+    assert.deepEqual(studyDays('2026-10-31', '2026-11-02'), ['2026-10-31', '2026-11-01']);
+  });
+
+  it('is empty when the exam is not after the start', () => {
+    assert.deepEqual(studyDays('2026-05-01', '2026-05-01'), []);
+    assert.deepEqual(studyDays('2026-05-02', '2026-05-01'), []);
+  });
+
+  it('stops at MAX_PLAN_DAYS', () => {
+    const days = studyDays('2026-01-01', '2028-01-01');
+    assert.equal(days.length, MAX_PLAN_DAYS);
+    assert.equal(days[0], '2026-01-01');
+  });
+});
+
+describe('estimateHours', () => {
+  it('rounds up to half hours', () => {
+    assert.equal(estimateHours(chapter(1, 12), 5), 1);
+    assert.equal(estimateHours(chapter(1, 7), 5), 1);
+    assert.equal(estimateHours(chapter(1, 13), 5), 1.5);
+  });
+
+  it('keeps half an hour to review a fully solved chapter', () => {
+    assert.equal(estimateHours(chapter(1, 0), 5), 0.5);
+  });
+});
+
+describe('buildSchedule', () => {
+  const options = { startDate: '2026-05-01', examDate: '2026-05-04', hoursPerDay: 2, minutesPerQuestion: 5 };
+
+  it('splits a chapter that does not fit into one day across days', () => {
+    const { days, unscheduled, summary } = buildSchedule([chapter('a', 36), chapter('b', 12)], options);
+
+    assert.deepEqual(days.map(({ date, totalHours, sessions }) => ({
+      date,
+      totalHours,
+      sessions: sessions.map(({ chapter: id, hours, part }) => ({ id, hours, part })),
+    })), [
+      { date: '2026-05-01', totalHours: 2, sessions: [{ id: 'a', hours: 2, part: 1 }] },
+      { date: '2026-05-02', totalHours: 2, sessions: [{ id: 'a', hours: 1, part: 2 }, { id: 'b', hours: 1, part: 1 }] },
+    ]);
+    assert.deepEqual(unscheduled, []);
+    assert.deepEqual(summary, {
+      studyDays: 3,
+      availableHours: 6,
+      plannedHours: 4,
+      chapters: 2,
+      unscheduledChapters: 0,
+    });
+  });
+
+  it('keeps the chapter details on every session', () => {
+    const { days } = buildSchedule([chapter('a', 12)], options);
+    assert.deepEqual(days[0].sessions[0], {
+      chapter: 'a',
+      subject: 'Physics',
+      chapterName: 'Chapter a',
+      class: 'Class 11',
+      unit: 'Mechanics',
+      score: 1,
+      hours: 1,
+      part: 1,
+    });
+  });
+
+  it('returns what does not fit before the exam as unscheduled', () => {
+    const { days, unscheduled, summary } = buildSchedule(
+      [chapter('a', 36), chapter('b', 12)],
+      { ...options, examDate: '2026-05-02' }
+    );
+
+    assert.equal(days.length, 1);
+    assert.deepEqual(unscheduled.map(({ chapter: id, remainingHours }) => ({ id, remainingHours })), [
+      { id: 'a', remainingHours: 1 },
+      { id: 'b', remainingHours: 1 },
+    ]);
+    assert.equal(summary.plannedHours, 2);
+    assert.equal(summary.unscheduledChapters, 2);
+  });
+
+  it('fills days with half-hour slots when hoursPerDay is fractional', () => {
+    const { days } = buildSchedule(
+      [chapter('a', 18), chapter('b', 6)],
+      { ...options, hoursPerDay: 1.5 }
+    );
+    assert.deepEqual(days.map(day => day.sessions.map(session => [session.chapter, session.hours])), [
+      [['a', 1.5]],
+      [['b', 0.5]],
+    ]);
+  });
+
+  it('plans nothing when there are no study days', () => {
+    const { days, unscheduled, summary } = buildSchedule(
+      [chapter('a', 12)],
+      { ...options, examDate: options.startDate }
+    );
+    assert.deepEqual(days, []);
+    assert.equal(unscheduled.length, 1);
+    assert.equal(summary.availableHours, 0);
+  });
+});
@@ -0,0 +1,178 @@
+const { beforeEach, describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const redis = require('../src/config/redis');
+
+// In-memory stand-in for the Redis commands tokenService uses (TTLs ignored)
+const createFakeRedis = () => {
+  const strings = new Map();
+  const sets = new Map();
+
+  const client = {
+    get: async key => strings.get(key) ?? null,
+    mget: async (...keys) => keys.map(key => strings.get(key) ?? null),
+    exists: async key => (strings.has(key) || sets.has(key) ? 1 : 0),
+    set: async (key, value, ...options) => {
+      if (options.includes('NX') && strings.has(key)) return null;
+      strings.set(key, value);
+      return 'OK';
+    },
+    sadd: async (key, member) => {
+      if (!sets.has(key)) sets.set(key, new Set());
+      sets.get(key).add(member);
+      return 1;
+    },
+    smembers: async key => [...(sets.get(key) || [])],
+    expire: async () => 1,
+    del: async (key) => {
+      strings.delete(key);
+      sets.delete(key);
+      return 1;
+    },
+    multi: () => {
+      const queued = [];
+      const pipeline = {
+        exec: async () => {
+          const results = [];
+          for (const [command, args] of queued) results.push([null, await client[command](...args)]);
+          return results;
+        },
+      };
+      ['set', 'sadd', 'expire', 'del'].forEach((command) => {
+        pipeline[command] = (...args) => {
+          queued.push([command, args]);
+          return pipeline;
+        };
+      });
+      return pipeline;
+    },
+  };
+  return client;
+};
+
+let client;
+mock.method(redis, 'getRedisClient', () => client);
+
+// Loaded after the mock so it picks up the fake client
+const tokenService = require('../src/services/tokenService');
+
+const user = {
+  _id: 'user-1',
+  getSignedJwtToken: ({ familyId }) => `access-for-${familyId}`,
+};
+const loadUser = async userId => (userId === user._id ? user : null);
+
+beforeEach(() => {
+  client = createFakeRedis();
+});
+
+describe('issueTokens', () => {
+  it('issues a refresh token in a new family and an access token for that family', async () => {
+    const { token, refreshToken } = await tokenService.issueTokens(user);
+    const [familyId, secret] = refreshToken.split('.');
+
+    assert.ok(familyId && secret);
+    assert.equal(token, `access-for-${familyId}`);
+    assert.equal(await tokenService.getRefreshTokenFamily(refreshToken), familyId);
+  });
+
+  it('fails with 503 when the session store is unavailable', async () => {
+    client = null;
+    await assert.rejects(tokenService.issueTokens(user), { statusCode: 503 });
+  });
+});
+
+describe('rotateRefreshToken', () => {
+  it('replaces the refresh token within the same family', async () => {
+    const first = await tokenService.issueTokens(user, 'family-1');
+    const rotated = await tokenService.rotateRefreshToken(first.refreshToken, loadUser);
+
+    assert.equal(rotated.user, user);
+    assert.notEqual(rotated.refreshToken, first.refreshToken);
+    assert.ok(rotated.refreshToken.startsWith('family-1.'));
+    assert.equal(rotated.token, 'access-for-family-1');
+
+    const again = await tokenService.rotateRefreshToken(rotated.refreshToken, loadUser);
+    assert.ok(again.refreshToken.startsWith('family-1.'));
+  });
+
+  it('revokes the whole family when a rotated token is used again', async () => {
+    const first = await tokenService.issueTokens(user, 'family-1');
+    const rotated = await tokenService.rotateRefreshToken(first.refreshToken, loadUser);
+
+    await assert.rejects(
+      tokenService.rotateRefreshToken(first.refreshToken, loadUser),
+      { statusCode: 401, message: 'Refresh token reuse detected, please log in again' }
+    );
+    await assert.rejects(
+      tokenService.rotateRefreshToken(rotated.refreshToken, loadUser),
+      { statusCode: 401, message: 'Session has been revoked' }
+    );
+    assert.equal(await tokenService.isAccessTokenRevoked({ id: user._id, jti: 'a', fam: 'family-1', iat: 0 }), true);
+  });
+
+  it('leaves other families of the user alone', async () => {
+    const phone = await tokenService.issueTokens(user, 'family-phone');
+    const laptop = await tokenService.issueTokens(user, 'family-laptop');
+    await tokenService.rotateRefreshToken(phone.refreshToken, loadUser);
+    await assert.rejects(tokenService.rotateRefreshToken(phone.refreshToken, loadUser));
+
+    const rotated = await tokenService.rotateRefreshToken(laptop.refreshToken, loadUser);
+    assert.ok(rotated.refreshToken.startsWith('family-laptop.'));
+  });
+
+  it('rejects unknown refresh tokens', async () => {
+    await assert.rejects(
+      tokenService.rotateRefreshToken('family-1.unknown', loadUser),
+      { statusCode: 401, message: 'Invalid refresh token' }
+    );
+  });
+
+  it('revokes the family when its user no longer exists', async () => {
+    const { refreshToken } = await tokenService.issueTokens({ ...user, _id: 'deleted-user' }, 'family-1');
+
+    await assert.rejects(tokenService.rotateRefreshToken(refreshToken, loadUser), { message: 'Invalid refresh token' });
+    assert.equal(await tokenService.isAccessTokenRevoked({ id: 'deleted-user', fam: 'family-1', iat: 0 }), true);
+  });
+});
+
+describe('revokeAccessToken', () => {
+  it('rejects the access token until it expires', async () => {
+    const exp = Math.floor(Date.now() / 1000) + 60;
+    await tokenService.revokeAccessToken({ jti: 'jti-1', exp });
+
+    assert.equal(await tokenService.isAccessTokenRevoked({ id: user._id, jti: 'jti-1', iat: 0 }), true);
+    assert.equal(await tokenService.isAccessTokenRevoked({ id: user._id, jti: 'jti-2', iat: 0 }), false);
+  });
+
+  it('does nothing for an access token that has already expired', async () => {
+    await tokenService.revokeAccessToken({ jti: 'jti-1', exp: Math.floor(Date.now() / 1000) - 1 });
+    assert.equal(await tokenService.isAccessTokenRevoked({ id: user._id, jti: 'jti-1', iat: 0 }), false);
+  });
+});
+
+describe('revokeAllSessions', () => {
+  it('revokes every family and access tokens issued before it', async () => {
+    const phone = await tokenService.issueTokens(user, 'family-phone');
+    const laptop = await tokenService.issueTokens(user, 'family-laptop');
+    const issuedAt = Math.floor(Date.now() / 1000) - 10;
+
+    await tokenService.revokeAllSessions(user._id);
+
+    await assert.rejects(tokenService.rotateRefreshToken(phone.refreshToken, loadUser), { message: 'Session has been revoked' });
+    await assert.rejects(tokenService.rotateRefreshToken(laptop.refreshToken, loadUser), { message: 'Session has been revoked' });
+    assert.equal(await tokenService.isAccessTokenRevoked({ id: user._id, jti: 'a', iat: issuedAt }), true);
+    assert.equal(
+      await tokenService.isAccessTokenRevoked({ id: user._id, jti: 'b', iat: Math.floor(Date.now() / 1000) + 10 }),
+      false
+    );
+  });
+});
+
+describe('isAccessTokenRevoked', () => {
+  it('accepts tokens when the session store is unavailable', async () => {
+    client = null;
+    mock.method(console, 'warn', () => {});
+    assert.equal(await tokenService.isAccessTokenRevoked({ id: user._id, jti: 'a', iat: 0 }), false);
+    console.warn.mock.restore();
+  });
+});
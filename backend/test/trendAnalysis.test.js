@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  analyzeSeries,
+  collectYears,
+  linearFit,
+  standardDeviation,
+  toSeries,
+} = require('../src/utils/trendAnalysis');
+
+const series = (startYear, counts) => counts.map((count, i) => ({ year: startYear + i, count }));
+
+describe('collectYears', () => {
+  it('returns every year used by any chapter, ascending', () => {
+    assert.deepEqual(collectYears([{ 2021: 2, 2019: 1 }, { 2020: 0 }, null, {}]), [2019, 2020, 2021]);
+  });
+
+  it('skips keys that are not years', () => {
+    assert.deepEqual(collectYears([{ 2024: 1, total: 5 }]), [2024]);
+  });
+});
+
+describe('toSeries', () => {
+  it('fills missing years with 0 and converts counts to numbers', () => {
+    assert.deepEqual(toSeries({ 2019: 3, 2021: '4' }, [2019, 2020, 2021]), [
+      { year: 2019, count: 3 },
+      { year: 2020, count: 0 },
+      { year: 2021, count: 4 },
+    ]);
+  });
+});
+
+describe('linearFit', () => {
+  it('fits a straight line exactly', () => {
+    assert.deepEqual(linearFit(series(2019, [2, 4, 6, 8])), { slope: 2, intercept: -4036 });
+  });
+
+  it('is flat for zero or one point', () => {
+    assert.deepEqual(linearFit([]), { slope: 0, intercept: 0 });
+    assert.deepEqual(linearFit(series(2024, [7])), { slope: 0, intercept: 7 });
+  });
+});
+
+describe('standardDeviation', () => {
+  it('is the population standard deviation of the counts', () => {
+    assert.equal(standardDeviation(series(2019, [2, 4, 6, 8])), Math.sqrt(5));
+    assert.equal(standardDeviation([]), 0);
+  });
+});
+
+describe('analyzeSeries', () => {
+  it('describes a rising series', () => {
+    assert.deepEqual(analyzeSeries(series(2019, [2, 4, 6, 8]), { recentYears: 3, threshold: 0.5 }), {
+      totalQuestions: 20,
+      recentFrequency: 18,
+      slope: 2,
+      volatility: 2.24,
+      trend: 'rising',
+      projection: { year: 2023, count: 10 },
+    });
+  });
+
+  it('describes a declining series and never projects below zero', () => {
+    const analysis = analyzeSeries(series(2019, [10, 0]));
+    assert.equal(analysis.trend, 'declining');
+    assert.equal(analysis.slope, -10);
+    assert.deepEqual(analysis.projection, { year: 2021, count: 0 });
+  });
+
+  it('calls a series rising only when the slope reaches the threshold', () => {
+    // slope 0.5
+    const counts = series(2019, [1, 1, 2]);
+    assert.equal(analyzeSeries(counts, { threshold: 0.5 }).trend, 'rising');
+    assert.equal(analyzeSeries(counts, { threshold: 0.6 }).trend, 'stable');
+  });
+
+  it('limits recentFrequency to the latest recentYears', () => {
+    assert.equal(analyzeSeries(series(2019, [5, 1, 2, 3]), { recentYears: 2 }).recentFrequency, 5);
+  });
+
+  it('handles a single year and an empty series', () => {
+    assert.deepEqual(analyzeSeries(series(2024, [4])).projection, { year: 2025, count: 4 });
+    assert.deepEqual(analyzeSeries([]), {
+      totalQuestions: 0,
+      recentFrequency: 0,
+      slope: 0,
+      volatility: 0,
+      trend: 'stable',
+      projection: null,
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateWeakChapter, sameReasons } = require('../src/utils/weakChapterRules');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-10-18T00:00:00Z');
+const years = [2021, 2022, 2023, 2024, 2025];
+
+const rules = (overrides = {}) => ({
+  enabled: true,
+  lowSolvedRatio: { enabled: true, minPercent: 30 },
+  highRecentFrequency: { enabled: true, recentYears: 3, minQuestions: 10 },
+  noRecentProgress: { enabled: false, days: 30 },
+  ...overrides,
+});
+
+// 20 questions, 12 of them in 2023-2025
+const chapter = (fields = {}) => ({
+  yearWiseQuestionCount: { 2021: 4, 2022: 4, 2023: 4, 2024: 4, 2025: 4 },
+  questionSolved: 10,
+  status: 'In Progress',
+  createdAt: new Date(now - DAY_MS),
+  ...fields,
+});
+
+const ruleNames = reasons => reasons.map(reason => reason.rule);
+
+describe('evaluateWeakChapter', () => {
+  it('flags a low solved ratio from the catalogue questionSolved', () => {
+    const reasons = evaluateWeakChapter(chapter({ questionSolved: 5 }), rules({ highRecentFrequency: { enabled: false } }), { years, now });
+    assert.deepEqual(reasons, [{
+      rule: 'lowSolvedRatio',
+      message: 'Catalogue progress: solved 5 of 20 questions (25%), below 30%',
+    }]);
+  });
+
+  it('flags frequent recent questions unless the chapter is Completed', () => {
+    const onlyFrequency = rules({ lowSolvedRatio: { enabled: false } });
+    assert.deepEqual(evaluateWeakChapter(chapter(), onlyFrequency, { years, now }), [{
+      rule: 'highRecentFrequency',
+      message: '12 questions in the 2023-2025 exams and catalogue status is In Progress',
+    }]);
+    assert.deepEqual(evaluateWeakChapter(chapter({ status: 'Completed' }), onlyFrequency, { years, now }), []);
+  });
+
+  it('counts no recent progress from the last activity, or creation when there is none', () => {
+    const onlyActivity = rules({
+      lowSolvedRatio: { enabled: false },
+      highRecentFrequency: { enabled: false },
+      noRecentProgress: { enabled: true, days: 30 },
+    });
+    const old = chapter({ createdAt: new Date('2026-01-01T00:00:00Z') });
+
+    assert.deepEqual(evaluateWeakChapter(old, onlyActivity, { years, now }), [{
+      rule: 'noRecentProgress',
+      message: 'No progress by any user since 2026-01-01 (over 30 days)',
+    }]);
+    assert.deepEqual(evaluateWeakChapter(old, onlyActivity, { years, now, lastActivityAt: new Date(now - DAY_MS) }), []);
+  });
+
+  it('lists every matching rule in order', () => {
+    const reasons = evaluateWeakChapter(
+      chapter({ questionSolved: 0, createdAt: new Date('2026-01-01T00:00:00Z') }),
+      rules({ noRecentProgress: { enabled: true, days: 30 } }),
+      { years, now }
+    );
+    assert.deepEqual(ruleNames(reasons), ['lowSolvedRatio', 'highRecentFrequency', 'noRecentProgress']);
+  });
+
+  it('never flags a chapter without questions for its solved ratio', () => {
+    const reasons = evaluateWeakChapter(chapter({ yearWiseQuestionCount: {}, questionSolved: 0 }), rules(), { years, now });
+    assert.deepEqual(reasons, []);
+  });
+
+  it('flags nothing while the rules are disabled', () => {
+    assert.deepEqual(evaluateWeakChapter(chapter({ questionSolved: 0 }), rules({ enabled: false }), { years, now }), []);
+  });
+
+  it('follows an editor override over the rules, even while they are disabled', () => {
+    assert.deepEqual(
+      evaluateWeakChapter(chapter({ questionSolved: 20, isWeakChapterOverride: true }), rules({ enabled: false }), { years, now }),
+      [{ rule: 'override', message: 'Marked weak by an editor' }]
+    );
+    assert.deepEqual(evaluateWeakChapter(chapter({ questionSolved: 0, isWeakChapterOverride: false }), rules(), { years, now }), []);
+    assert.notDeepEqual(evaluateWeakChapter(chapter({ questionSolved: 0, isWeakChapterOverride: null }), rules(), { years, now }), []);
+  });
+});
+
+describe('sameReasons', () => {
+  const reason = { rule: 'lowSolvedRatio', message: 'a' };
+
+  it('compares rules and messages in order', () => {
+    assert.equal(sameReasons([reason], [{ ...reason }]), true);
+    assert.equal(sameReasons([reason], [{ ...reason, message: 'b' }]), false);
+    assert.equal(sameReasons([reason, { rule: 'x', message: 'y' }], [{ rule: 'x', message: 'y' }, reason]), false);
+  });
+
+  it('treats missing reasons as none', () => {
+    assert.equal(sameReasons(undefined, []), true);
+    assert.equal(sameReasons(undefined, [reason]), false);
+  });
+});